@@ -1,16 +1,36 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, View } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import { AuthProvider } from './contexts/AuthContext';
 import AppNavigator from './navigation/AppNavigator';
+import { navigationRef } from './navigation/navigationRef';
+import OfflineBanner from './components/OfflineBanner';
+import storageService from './services/StorageService';
 
 export default function App() {
+  const [storageReady, setStorageReady] = useState(false);
+
+  // Stored data is migrated to the current schema before AuthContext reads it
+  useEffect(() => {
+    storageService.initialize().finally(() => setStorageReady(true));
+  }, []);
+
+  if (!storageReady) {
+    return (
+      <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center' }}>
+        <ActivityIndicator size="large" color="#FF6F00" />
+      </View>
+    );
+  }
+
   return (
     <GestureHandlerRootView style={{ flex: 1 }}>
       <AuthProvider>
-        <NavigationContainer>
+        <NavigationContainer ref={navigationRef}>
           <AppNavigator />
         </NavigationContainer>
+        <OfflineBanner />
       </AuthProvider>
     </GestureHandlerRootView>
   );
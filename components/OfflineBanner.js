@@ -0,0 +1,64 @@
+import React from 'react';
+import { SafeAreaView, View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { useConnectivity } from '../hooks/useConnectivity';
+
+export default function OfflineBanner() {
+  const { isOffline, isApiReachable, checkApiReachability } = useConnectivity();
+
+  if (isOffline) {
+    return (
+      <SafeAreaView style={[styles.container, styles.offline]}>
+        <View style={styles.content}>
+          <Text style={styles.text}>
+            Sin conexión a internet. Verás la información guardada y tus cambios se enviarán al reconectar.
+          </Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (isApiReachable === false) {
+    return (
+      <SafeAreaView style={[styles.container, styles.unreachable]}>
+        <View style={styles.content}>
+          <Text style={styles.text}>No podemos comunicarnos con Glotón Urbano en este momento.</Text>
+          <TouchableOpacity onPress={checkApiReachability}>
+            <Text style={styles.link}>Reintentar</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return null;
+}
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+  },
+  offline: {
+    backgroundColor: '#333',
+  },
+  unreachable: {
+    backgroundColor: '#dc3545',
+  },
+  content: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    gap: 12,
+  },
+  text: {
+    flex: 1,
+    fontSize: 13,
+    color: '#fff',
+  },
+  link: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+    textDecorationLine: 'underline',
+  },
+});
@@ -0,0 +1,103 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import { formatErrorMessage } from '../services/errorMessages';
+
+// User-facing names for queueable endpoints
+const ENTRY_LABELS = {
+  updateUserProfile: 'Actualización de perfil',
+  registerAnalyticsEvent: 'Evento de uso',
+};
+
+export default function OfflineQueueStatus() {
+  const { pendingCount, failed, isReplaying, replay, retry, discard } = useOfflineQueue();
+
+  if (pendingCount === 0 && failed.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      {pendingCount > 0 && (
+        <View style={styles.pendingRow}>
+          <Text style={styles.pendingText}>
+            {isReplaying
+              ? 'Enviando cambios pendientes...'
+              : `${pendingCount} ${pendingCount === 1 ? 'cambio pendiente' : 'cambios pendientes'} de enviar`}
+          </Text>
+          {!isReplaying && (
+            <TouchableOpacity onPress={replay}>
+              <Text style={styles.link}>Reintentar ahora</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {failed.map(entry => (
+        <View key={entry.id} style={styles.failedItem}>
+          <Text style={styles.failedTitle}>
+            ⚠️ {ENTRY_LABELS[entry.name] || entry.name} no se pudo enviar
+          </Text>
+          {entry.lastError && (
+            <Text style={styles.failedMessage}>{formatErrorMessage(entry.lastError)}</Text>
+          )}
+          <View style={styles.failedActions}>
+            <TouchableOpacity onPress={() => retry(entry.id)}>
+              <Text style={styles.link}>Reintentar</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => discard(entry.id)}>
+              <Text style={[styles.link, styles.discard]}>Descartar</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 20,
+    padding: 15,
+    borderRadius: 12,
+    backgroundColor: '#fff8e1',
+    borderWidth: 1,
+    borderColor: '#ffe082',
+  },
+  pendingRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  pendingText: {
+    fontSize: 14,
+    color: '#333',
+    flex: 1,
+  },
+  link: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#FF6F00',
+  },
+  discard: {
+    color: '#dc3545',
+  },
+  failedItem: {
+    marginTop: 10,
+  },
+  failedTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  failedMessage: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  failedActions: {
+    flexDirection: 'row',
+    gap: 20,
+    marginTop: 6,
+  },
+});
@@ -1,6 +1,13 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import apiService from '../services';
 import storageService from '../services/StorageService';
+import environmentService from '../services/EnvironmentService';
+import { AuthenticationError, createApiError } from '../services/ApiError';
+import { formatErrorMessage } from '../services/errorMessages';
+import { createLogger } from '../services/Logger';
+import { resetToLogin } from '../navigation/navigationRef';
+
+const logger = createLogger('AuthContext');
 
 const AuthContext = createContext();
 
@@ -19,17 +26,20 @@ export const AuthProvider = ({ children }) => {
   const [userRoles, setUserRoles] = useState([]);
   const [userPermissions, setUserPermissions] = useState([]);
   const [storageAvailable, setStorageAvailable] = useState(false);
+  const [storageBackend, setStorageBackend] = useState(null);
 
   // Initialize authentication state
   useEffect(() => {
     const initializeAuth = async () => {
       try {
-        // First check if storage is available
-        const storageWorking = await storageService.isStorageWorking();
-        setStorageAvailable(storageWorking);
+        // First check if storage is available; the in-memory fallback works
+        // but forgets everything on restart
+        const storage = await storageService.isStorageWorking();
+        setStorageAvailable(storage.working && storage.persistent);
+        setStorageBackend(storage.backend);
         
-        if (!storageWorking) {
-          console.warn('Storage not available, authentication will not persist');
+        if (!storage.working || !storage.persistent) {
+          logger.warn('Storage not persistent, authentication will not survive a restart', storage);
         }
 
         // Initialize API service
@@ -40,7 +50,7 @@ export const AuthProvider = ({ children }) => {
           await loadUserData();
         }
       } catch (error) {
-        console.error('Auth initialization error:', error);
+        logger.error('Auth initialization error', error);
       } finally {
         setIsLoading(false);
       }
@@ -49,6 +59,31 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  // Switching environments or a rejected refresh token drops the session;
+  // mirror that in local state. An expired session (refresh token rejected,
+  // session revoked) also leaves the current screen for Login.
+  useEffect(() => {
+    const resetSession = () => {
+      setUser(null);
+      setIsAuthenticated(false);
+      setUserRoles([]);
+      setUserPermissions([]);
+    };
+
+    const removeEnvironmentListener = environmentService.addListener(resetSession);
+    const removeSessionListener = apiService.addSessionListener((event) => {
+      if (event === 'expired') {
+        resetSession();
+        resetToLogin();
+      }
+    });
+
+    return () => {
+      removeEnvironmentListener();
+      removeSessionListener();
+    };
+  }, []);
+
   // Load user data from API
   const loadUserData = async () => {
     try {
@@ -71,9 +106,11 @@ export const AuthProvider = ({ children }) => {
         setUserPermissions(permissionsResponse.data.permissions);
       }
     } catch (error) {
-      console.error('Error loading user data:', error);
-      // If there's an error loading user data, logout
-      await logout();
+      logger.error('Error loading user data', error);
+      // Only a rejected session means logout; network or server failures keep the session
+      if (error instanceof AuthenticationError) {
+        await logout();
+      }
     }
   };
 
@@ -83,34 +120,24 @@ export const AuthProvider = ({ children }) => {
       const response = await apiService.login(credentials);
       
       if (response.success) {
+        // Tokens and expiry are persisted by the API service
         setUser(response.data.user);
         setIsAuthenticated(true);
         
-        // Only try to store data if storage is available
-        if (storageAvailable) {
-          try {
-            await storageService.storeAuthToken(response.data.token);
-            await storageService.storeUserProfile(response.data.user);
-            
-            // Set token expiry (assuming 24 hours if not provided)
-            const expiry = new Date();
-            expiry.setHours(expiry.getHours() + 24);
-            await storageService.storeTokenExpiry(expiry);
-          } catch (storageError) {
-            console.warn('Failed to store auth data:', storageError);
-          }
-        }
-        
         // Load additional user data
         await loadUserData();
         
         return { success: true, user: response.data.user };
       } else {
-        return { success: false, message: response.message };
+        // A refused login that still came back 2xx: read it as the 401 it means,
+        // keeping the server's message and error code
+        const error = createApiError({ status: 401 }, response);
+        return { success: false, message: formatErrorMessage(error, { context: 'login' }), error };
       }
     } catch (error) {
-      console.error('Login error:', error);
-      return { success: false, message: error.message };
+      logger.error('Login error', error);
+      // `message` is ready to show; `error` is there to branch on
+      return { success: false, message: formatErrorMessage(error, { context: 'login' }), error };
     }
   };
 
@@ -119,7 +146,7 @@ export const AuthProvider = ({ children }) => {
     try {
       await apiService.logout();
     } catch (error) {
-      console.error('Logout error:', error);
+      logger.error('Logout error', error);
     } finally {
       // Clear local state
       setUser(null);
@@ -132,7 +159,7 @@ export const AuthProvider = ({ children }) => {
         try {
           await storageService.clearAuthData();
         } catch (storageError) {
-          console.warn('Failed to clear stored auth data:', storageError);
+          logger.warn('Failed to clear stored auth data', storageError);
         }
       }
     }
@@ -188,6 +215,7 @@ export const AuthProvider = ({ children }) => {
     userRoles,
     userPermissions,
     storageAvailable,
+    storageBackend,
     login,
     logout,
     hasPermission,
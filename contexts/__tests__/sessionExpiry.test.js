@@ -0,0 +1,109 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import { NavigationContainer } from '@react-navigation/native';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import { AuthProvider } from '../AuthContext';
+import { navigationRef } from '../../navigation/navigationRef';
+import apiService from '../../services';
+import storageService from '../../services/StorageService';
+import { createMemoryAdapter } from '../../services/storageAdapters';
+import { AuthenticationError } from '../../services/ApiError';
+import { setLogLevel } from '../../services/Logger';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+jest.mock('@react-native-community/netinfo', () => (
+  require('@react-native-community/netinfo/jest/netinfo-mock')
+));
+
+const Stack = createNativeStackNavigator();
+const Screen = () => null;
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: { get: () => null, forEach: () => {} },
+  text: async () => JSON.stringify(body),
+});
+
+const USER_DATA = {
+  '/user': { user: { id: 1, name: 'Ana', email: 'ana@example.com' } },
+  '/user/roles': { roles: [] },
+  '/user/permissions': { permissions: [], highest_role_level: 1 },
+};
+
+// Let pending promises and effects run until `done` holds
+const settle = async (done) => {
+  for (let i = 0; i < 50 && !done(); i += 1) {
+    await act(() => new Promise(resolve => setTimeout(resolve, 10)));
+  }
+};
+
+describe('session expiry', () => {
+  let sessionRejected;
+
+  beforeAll(() => {
+    setLogLevel('silent');
+  });
+
+  beforeEach(async () => {
+    sessionRejected = false;
+    global.fetch = jest.fn(async (url) => {
+      const path = new URL(url).pathname.replace(/^\/api\/v1/, '');
+      if (path === '/refresh' || sessionRejected) {
+        return jsonResponse(401, { success: false, message: 'Unauthenticated.' });
+      }
+      return jsonResponse(200, { success: true, data: USER_DATA[path] });
+    });
+
+    // A signed-in user whose token is still fresh
+    storageService.setAdapter(createMemoryAdapter());
+    storageService.setAdapter(createMemoryAdapter(), 'secure');
+    await storageService.initialize();
+    await storageService.storeAuthToken('access');
+    await storageService.storeRefreshToken('refresh');
+    await storageService.storeTokenExpiry(new Date(Date.now() + 60 * 60 * 1000));
+  });
+
+  // Stops the refresh timer if a test fails before the session ends
+  afterEach(() => apiService.clearLocalSession());
+
+  it('sends the user to Login when the refresh token is rejected', async () => {
+    let renderer;
+    await act(async () => {
+      renderer = TestRenderer.create(
+        <AuthProvider>
+          <NavigationContainer ref={navigationRef}>
+            <Stack.Navigator initialRouteName="Welcome" screenOptions={{ headerShown: false }}>
+              <Stack.Screen name="Login" component={Screen} />
+              <Stack.Screen name="Welcome" component={Screen} />
+              <Stack.Screen name="Map" component={Screen} />
+            </Stack.Navigator>
+          </NavigationContainer>
+        </AuthProvider>
+      );
+    });
+    // Signed in once AuthContext has loaded the user's data
+    await settle(() => global.fetch.mock.calls.some(([url]) => url.endsWith('/user/permissions')));
+    await act(async () => navigationRef.navigate('Map'));
+    expect(navigationRef.getCurrentRoute().name).toBe('Map');
+
+    // The session was revoked elsewhere: the next request gets a 401 and so
+    // does the refresh
+    sessionRejected = true;
+    let requestError;
+    await act(async () => {
+      requestError = await apiService.getUserProfile(true).catch(error => error);
+    });
+
+    expect(requestError).toBeInstanceOf(AuthenticationError);
+    expect(global.fetch.mock.calls.some(([url]) => url.endsWith('/refresh'))).toBe(true);
+    expect(await storageService.getRefreshToken()).toBeNull();
+    expect(navigationRef.getCurrentRoute().name).toBe('Login');
+    expect(navigationRef.getRootState().routes).toHaveLength(1);
+
+    act(() => renderer.unmount());
+  });
+});
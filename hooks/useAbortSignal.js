@@ -0,0 +1,44 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+/**
+ * Abort signals tied to the component's lifetime
+ * withSignal(request) calls `request(signal)` with a signal that is aborted on
+ * unmount and forgotten once the request settles. API calls given one reject
+ * with a CancelError, which callers should skip (isCancelError) instead of
+ * touching state.
+ * @returns {Object} { withSignal, cancelAll, isMounted }
+ */
+export function useAbortSignal() {
+  const controllersRef = useRef(new Set());
+  const mountedRef = useRef(false);
+
+  const cancelAll = useCallback(() => {
+    controllersRef.current.forEach(controller => controller.abort());
+    controllersRef.current.clear();
+  }, []);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      cancelAll();
+    };
+  }, [cancelAll]);
+
+  // Settled requests drop their controller so reloading screens don't keep them
+  const withSignal = useCallback(async (request) => {
+    const controller = new AbortController();
+    controllersRef.current.add(controller);
+    try {
+      return await request(controller.signal);
+    } finally {
+      controllersRef.current.delete(controller);
+    }
+  }, []);
+
+  const isMounted = useCallback(() => mountedRef.current, []);
+
+  return { withSignal, cancelAll, isMounted };
+}
+
+export default useAbortSignal;
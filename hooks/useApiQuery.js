@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import apiService from '../services';
+import { isCancelError } from '../services/ApiError';
+import { useAbortSignal } from './useAbortSignal';
+
+/**
+ * Load a registered GET endpoint (see services/endpoints.js)
+ * Data comes from the shared response cache when it's there, so screens asking
+ * for the same thing render at once and share one request. Background
+ * revalidations update every screen showing the entry. Requests are canceled
+ * on unmount and when the params change.
+ * @param {string} name - Endpoint name
+ * @param {Object} [options] - Hook options
+ * @param {Object} [options.params] - Path parameter values
+ * @param {Object} [options.query] - Query parameters
+ * @param {boolean} [options.enabled] - Set to false to skip loading (e.g. no id yet)
+ * @returns {Object} { data, error, isLoading, isRefreshing, refetch }
+ */
+export function useApiQuery(name, { params, query, enabled = true } = {}) {
+  const { withSignal, cancelAll, isMounted } = useAbortSignal();
+  const key = enabled ? apiService.getCacheKey(name, { params, query }) : null;
+  const keyRef = useRef(key);
+  keyRef.current = key;
+
+  // Latest params for load(); `key` already captures their value
+  const requestRef = useRef({ params, query });
+  requestRef.current = { params, query };
+
+  const [state, setState] = useState(() => {
+    const data = key ? apiService.peekCache(name, { params, query }) : undefined;
+    return { data, error: null, isLoading: !!key && data === undefined, isRefreshing: false };
+  });
+
+  const load = useCallback(async (cache = 'default') => {
+    const requestKey = keyRef.current;
+    if (!requestKey) return;
+
+    setState(prev => ({
+      ...prev,
+      error: null,
+      isLoading: prev.data === undefined,
+      isRefreshing: prev.data !== undefined && cache === 'reload',
+    }));
+
+    try {
+      const data = await withSignal(signal => apiService.callEndpoint(name, {
+        ...requestRef.current,
+        cache,
+        signal,
+      }));
+      if (!isMounted() || keyRef.current !== requestKey) return;
+      setState({ data, error: null, isLoading: false, isRefreshing: false });
+    } catch (error) {
+      if (isCancelError(error) || !isMounted() || keyRef.current !== requestKey) return;
+      setState(prev => ({ ...prev, error, isLoading: false, isRefreshing: false }));
+    }
+  }, [name, withSignal, isMounted]);
+
+  useEffect(() => {
+    if (!key) {
+      setState({ data: undefined, error: null, isLoading: false, isRefreshing: false });
+      return undefined;
+    }
+
+    // Previous params' requests are no longer wanted
+    cancelAll();
+    const cached = apiService.peekCache(name, requestRef.current);
+    setState({ data: cached, error: null, isLoading: cached === undefined, isRefreshing: false });
+    load();
+
+    return apiService.addCacheListener((changedKey, data) => {
+      if (changedKey === key && isMounted()) {
+        setState(prev => ({ ...prev, data }));
+      }
+    });
+  }, [key, name, load, cancelAll, isMounted]);
+
+  // Pull-to-refresh: revalidate with the server now
+  const refetch = useCallback(() => load('reload'), [load]);
+
+  return { ...state, refetch };
+}
+
+export default useApiQuery;
@@ -0,0 +1,24 @@
+import { useCallback, useEffect, useState } from 'react';
+import connectivityService from '../services/ConnectivityService';
+
+/**
+ * Subscribe to device connectivity and GU API reachability
+ * @returns {Object} { isOffline, isConnected, isInternetReachable, type,
+ *   isApiReachable, checkApiReachability }
+ */
+export function useConnectivity() {
+  const [state, setState] = useState(() => connectivityService.getState());
+
+  useEffect(() => {
+    const unsubscribe = connectivityService.addListener(setState);
+    // Catch up on changes between the first render and subscribing
+    setState(connectivityService.getState());
+    return unsubscribe;
+  }, []);
+
+  const checkApiReachability = useCallback(() => connectivityService.checkApiReachability(), []);
+
+  return { ...state, checkApiReachability };
+}
+
+export default useConnectivity;
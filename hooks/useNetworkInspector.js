@@ -0,0 +1,27 @@
+import { useEffect, useMemo, useState } from 'react';
+import networkInspector from '../services/NetworkInspector';
+
+/**
+ * Subscribe to the requests recorded by the network inspector
+ * @param {Object} [filter] - See NetworkInspector.getEntries()
+ * @returns {Object} { entries, total }
+ */
+export function useNetworkInspector({ text = '', status = 'all' } = {}) {
+  const [allEntries, setAllEntries] = useState(() => networkInspector.getEntries());
+
+  useEffect(() => {
+    const unsubscribe = networkInspector.addListener(setAllEntries);
+    // Catch up on requests recorded between the first render and subscribing
+    setAllEntries(networkInspector.getEntries());
+    return unsubscribe;
+  }, []);
+
+  const entries = useMemo(
+    () => networkInspector.getEntries({ text, status }),
+    [allEntries, text, status]
+  );
+
+  return { entries, total: allEntries.length };
+}
+
+export default useNetworkInspector;
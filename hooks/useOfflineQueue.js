@@ -0,0 +1,24 @@
+import { useCallback, useEffect, useState } from 'react';
+import offlineQueue from '../services/OfflineQueue';
+
+/**
+ * Subscribe to the offline mutation queue
+ * @returns {Object} { pendingCount, failed, entries, isReplaying, replay, retry, discard }
+ */
+export function useOfflineQueue() {
+  const [status, setStatus] = useState(() => offlineQueue.getStatus());
+
+  useEffect(() => {
+    const unsubscribe = offlineQueue.addListener(setStatus);
+    offlineQueue.load().then(() => setStatus(offlineQueue.getStatus()));
+    return unsubscribe;
+  }, []);
+
+  const replay = useCallback(() => offlineQueue.replay(), []);
+  const retry = useCallback((id) => offlineQueue.retry(id), []);
+  const discard = useCallback((id) => offlineQueue.discard(id), []);
+
+  return { ...status, replay, retry, discard };
+}
+
+export default useOfflineQueue;
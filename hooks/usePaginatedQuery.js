@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { isCancelError } from '../services/ApiError';
+import { useAbortSignal } from './useAbortSignal';
+
+/**
+ * Drive a Paginator (see services/Paginator.js) from a component
+ * The first page loads on mount and whenever `key` changes; pages come through
+ * the shared response cache. Requests are canceled on unmount.
+ * @param {Function} createPaginator - Returns a new Paginator
+ * @param {string} key - Changes when the paginator's filters change
+ * @returns {Object} { items, total, hasNextPage, isLoading, isRefreshing, error,
+ *   fetchNextPage, refetch, retry }
+ */
+export function usePaginatedQuery(createPaginator, key) {
+  const { withSignal, cancelAll, isMounted } = useAbortSignal();
+  const paginator = useMemo(createPaginator, [key]);
+  const [state, setState] = useState(() => paginator.getState());
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  // Failures are kept in the paginator state; nothing to do here
+  const ignore = () => {};
+
+  useEffect(() => {
+    setState(paginator.getState());
+    const unsubscribe = paginator.addListener(setState);
+    withSignal(signal => paginator.fetchNextPage({ signal })).catch(ignore);
+
+    return () => {
+      unsubscribe();
+      cancelAll();
+      // Drop the canceled page so a remount starts clean instead of joining it
+      paginator.reset();
+    };
+  }, [paginator, withSignal, cancelAll]);
+
+  // For FlatList's onEndReached; concurrent calls share one request, and a
+  // failed page waits for retry() instead of firing again on every scroll
+  const fetchNextPage = useCallback(() => {
+    if (paginator.error || !paginator.hasNextPage) return Promise.resolve([]);
+    return withSignal(signal => paginator.fetchNextPage({ signal })).catch(ignore);
+  }, [paginator, withSignal]);
+
+  // Pull-to-refresh: back to page 1, revalidating the cache
+  const refetch = useCallback(async () => {
+    setIsRefreshing(true);
+    try {
+      await withSignal(signal => paginator.refresh({ signal }));
+    } catch (error) {
+      // Kept in the paginator state
+    } finally {
+      if (isMounted()) setIsRefreshing(false);
+    }
+  }, [paginator, withSignal, isMounted]);
+
+  // A failed page can be retried without dropping what's loaded
+  const retry = useCallback(() => (
+    withSignal(signal => paginator.fetchNextPage({ signal })).catch(ignore)
+  ), [paginator, withSignal]);
+
+  return {
+    items: state.items,
+    total: state.total,
+    hasNextPage: state.hasNextPage,
+    // Also loading before the first page is requested, so lists don't flash "empty"
+    isLoading: (state.isLoading || (state.currentPage === 0 && state.hasNextPage && !state.error)) && !isRefreshing,
+    isRefreshing,
+    error: isCancelError(state.error) ? null : state.error,
+    fetchNextPage,
+    refetch,
+    retry,
+  };
+}
+
+export default usePaginatedQuery;
@@ -0,0 +1,21 @@
+import apiService from '../services';
+import { usePaginatedQuery } from './usePaginatedQuery';
+
+/**
+ * Paginated property list
+ * @param {Object} [params] - Filters, e.g. { status: 'active', sector_id: 1, include: ['sector'] }
+ * @param {Object} [options] - { perPage }
+ * @returns {Object} { properties, total, hasNextPage, isLoading, isRefreshing, error,
+ *   fetchNextPage, refetch, retry }
+ */
+export function useProperties(params = {}, { perPage } = {}) {
+  const key = JSON.stringify([params, perPage]);
+  const { items, ...list } = usePaginatedQuery(
+    () => apiService.paginateProperties(params, { perPage }),
+    key
+  );
+
+  return { properties: items, ...list };
+}
+
+export default useProperties;
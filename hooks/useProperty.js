@@ -0,0 +1,19 @@
+import { useApiQuery } from './useApiQuery';
+
+/**
+ * Single property
+ * @param {number|string|null} propertyId - Property ID; nothing loads while it's empty
+ * @param {Object} [params] - Query parameters, e.g. { include: ['sector', 'owner'] }
+ * @returns {Object} { property, error, isLoading, isRefreshing, refetch }
+ */
+export function useProperty(propertyId, params = {}) {
+  const { data, ...query } = useApiQuery('getProperty', {
+    params: { propertyId },
+    query: params,
+    enabled: propertyId !== null && propertyId !== undefined,
+  });
+
+  return { property: data?.data?.property ?? null, ...query };
+}
+
+export default useProperty;
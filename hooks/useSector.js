@@ -0,0 +1,19 @@
+import { useApiQuery } from './useApiQuery';
+
+/**
+ * Single sector
+ * @param {number|string|null} sectorId - Sector ID; nothing loads while it's empty
+ * @param {Object} [params] - Query parameters, e.g. { include: ['properties_count'] }
+ * @returns {Object} { sector, error, isLoading, isRefreshing, refetch }
+ */
+export function useSector(sectorId, params = {}) {
+  const { data, ...query } = useApiQuery('getSector', {
+    params: { sectorId },
+    query: params,
+    enabled: sectorId !== null && sectorId !== undefined,
+  });
+
+  return { sector: data?.data?.sector ?? null, ...query };
+}
+
+export default useSector;
@@ -0,0 +1,21 @@
+import apiService from '../services';
+import { usePaginatedQuery } from './usePaginatedQuery';
+
+/**
+ * Paginated sector list
+ * @param {Object} [params] - Filters, e.g. { active: true, include: ['properties_count'] }
+ * @param {Object} [options] - { perPage }
+ * @returns {Object} { sectors, total, hasNextPage, isLoading, isRefreshing, error,
+ *   fetchNextPage, refetch, retry }
+ */
+export function useSectors(params = {}, { perPage } = {}) {
+  const key = JSON.stringify([params, perPage]);
+  const { items, ...list } = usePaginatedQuery(
+    () => apiService.paginateSectors(params, { perPage }),
+    key
+  );
+
+  return { sectors: items, ...list };
+}
+
+export default useSectors;
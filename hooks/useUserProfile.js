@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useState } from 'react';
+import apiService from '../services';
+import { isCancelError } from '../services/ApiError';
+import { useAbortSignal } from './useAbortSignal';
+
+/**
+ * Signed-in user's profile
+ * Served from the stored profile when there is one (shared with AuthContext
+ * and every other screen); refetch() asks the server. Cleared when the session
+ * expires.
+ * @returns {Object} { user, error, isLoading, isRefreshing, refetch }
+ */
+export function useUserProfile() {
+  const { withSignal, isMounted } = useAbortSignal();
+  const [state, setState] = useState({ user: null, error: null, isLoading: true, isRefreshing: false });
+
+  const load = useCallback(async (forceRefresh) => {
+    setState(prev => ({
+      ...prev,
+      error: null,
+      isLoading: prev.user === null,
+      isRefreshing: prev.user !== null && forceRefresh,
+    }));
+
+    try {
+      const response = await withSignal(signal => (
+        apiService.getUserProfile(forceRefresh, { signal })
+      ));
+      if (!isMounted()) return;
+      setState({ user: response.data?.user ?? null, error: null, isLoading: false, isRefreshing: false });
+    } catch (error) {
+      if (isCancelError(error) || !isMounted()) return;
+      setState(prev => ({ ...prev, error, isLoading: false, isRefreshing: false }));
+    }
+  }, [withSignal, isMounted]);
+
+  useEffect(() => {
+    load(false);
+
+    return apiService.addSessionListener((event) => {
+      if (event === 'expired') {
+        setState({ user: null, error: null, isLoading: false, isRefreshing: false });
+      }
+    });
+  }, [load]);
+
+  const refetch = useCallback(() => load(true), [load]);
+
+  return { ...state, refetch };
+}
+
+export default useUserProfile;
@@ -8,6 +8,8 @@ import WelcomeScreen from '../screens/WelcomeScreen';
 import MapScreen from '../screens/MapScreen';
 import ListScreen from '../screens/ListScreen';
 import DetailScreen from '../screens/DetailScreen';
+import SessionsScreen from '../screens/SessionsScreen';
+import NetworkInspectorScreen from '../screens/NetworkInspectorScreen';
 import UnlockScreen from '../components/UnlockScreen';
 
 const Stack = createNativeStackNavigator();
@@ -24,7 +26,11 @@ export default function AppNavigator() {
       <Stack.Screen name="Map" component={MapScreen} />
       <Stack.Screen name="List" component={ListScreen} />
       <Stack.Screen name="Detail" component={DetailScreen} />
+      <Stack.Screen name="Sessions" component={SessionsScreen} />
       <Stack.Screen name="Unlock" component={UnlockScreen} />
+      {__DEV__ && (
+        <Stack.Screen name="NetworkInspector" component={NetworkInspectorScreen} />
+      )}
     </Stack.Navigator>
   );
 }
@@ -0,0 +1,17 @@
+import { createNavigationContainerRef } from '@react-navigation/native';
+
+// Lets code outside the screens (session listeners) navigate
+export const navigationRef = createNavigationContainerRef();
+
+/**
+ * Send the user back to Login with no screen to go back to
+ * Does nothing before the navigator has mounted or when Login is already shown.
+ */
+export const resetToLogin = () => {
+  if (!navigationRef.isReady()) return;
+  if (navigationRef.getCurrentRoute()?.name === 'Login') return;
+
+  navigationRef.reset({ index: 0, routes: [{ name: 'Login' }] });
+};
+
+export default navigationRef;
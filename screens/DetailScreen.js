@@ -1,16 +1,51 @@
 import React from 'react';
-import { View, Text, Button, StyleSheet, Image } from 'react-native';
+import { View, Text, Button, StyleSheet, Image, ActivityIndicator, TouchableOpacity } from 'react-native';
 import Header from '../components/Header';
+import { useProperty } from '../hooks/useProperty';
+import { formatErrorMessage } from '../services/errorMessages';
+
+export default function DetailScreen({ navigation, route }) {
+  const propertyId = route?.params?.propertyId ?? null;
+  const { property, isLoading, error, refetch } = useProperty(propertyId, { include: ['sector'] });
+
+  const renderContent = () => {
+    if (isLoading) {
+      return <ActivityIndicator size="large" color="#FF6F00" />;
+    }
+
+    if (!property) {
+      return (
+        <>
+          <Text style={styles.name}>
+            {error ? 'No se pudo cargar el lugar' : 'Lugar no disponible'}
+          </Text>
+          {error ? <Text style={styles.meta}>{formatErrorMessage(error)}</Text> : null}
+          {error ? (
+            <TouchableOpacity onPress={refetch}>
+              <Text style={styles.retry}>Reintentar</Text>
+            </TouchableOpacity>
+          ) : null}
+        </>
+      );
+    }
+
+    return (
+      <>
+        <Text style={styles.name}>{property.name}</Text>
+        {property.sector?.name ? <Text style={styles.meta}>{property.sector.name}</Text> : null}
+        <Image source={{ uri: 'https://via.placeholder.com/200' }} style={styles.image} />
+        {property.description ? <Text style={styles.description}>{property.description}</Text> : null}
+        {property.address ? <Text style={styles.meta}>{property.address}</Text> : null}
+        <Button title="Desbloquear contenido" onPress={() => navigation.navigate('Unlock')} />
+      </>
+    );
+  };
 
-export default function DetailScreen({ navigation }) {
   return (
     <View style={styles.container}>
       <Header title="Detalle del lugar" />
       <View style={styles.content}>
-        <Text style={styles.name}>Alita Mía Tequisquiapan</Text>
-        <Image source={{ uri: 'https://via.placeholder.com/200' }} style={styles.image} />
-        <Text style={styles.description}>Las mejores alitas de la ciudad, con la mejor relación calidad-precio.</Text>
-        <Button title="Desbloquear contenido" onPress={() => navigation.navigate('Unlock')} />
+        {renderContent()}
       </View>
     </View>
   );
@@ -20,6 +55,8 @@ const styles = StyleSheet.create({
   container: { flex: 1, backgroundColor: '#fff' },
   content: { flex: 1, alignItems: 'center', padding: 20 },
   name: { fontSize: 20, fontWeight: 'bold', marginBottom: 10 },
+  meta: { fontSize: 14, color: '#666', marginBottom: 10 },
   image: { width: 200, height: 200, marginBottom: 10 },
   description: { fontSize: 16, textAlign: 'center', marginBottom: 20 },
+  retry: { fontSize: 16, fontWeight: '600', color: '#FF6F00' },
 });
@@ -1,16 +1,63 @@
 import React from 'react';
-import { View, Text, StyleSheet, FlatList, TouchableOpacity, SafeAreaView } from 'react-native';
-
-const DATA = [
-  { id: '1', name: 'Alita Mía Tequisquiapan' },
-  { id: '2', name: 'La Sublime Hamburguesas' },
-];
+import { View, Text, StyleSheet, FlatList, TouchableOpacity, SafeAreaView, ActivityIndicator } from 'react-native';
+import { useProperties } from '../hooks/useProperties';
+import { formatErrorMessage } from '../services/errorMessages';
 
 export default function ListScreen({ navigation }) {
+  const {
+    properties,
+    isLoading,
+    isRefreshing,
+    error,
+    fetchNextPage,
+    refetch,
+    retry,
+  } = useProperties({ status: 'active' });
+
   const handleGoBack = () => {
     navigation.goBack();
   };
 
+  const renderFooter = () => {
+    if (isLoading && properties.length > 0) {
+      return <ActivityIndicator style={styles.footer} color="#FF6F00" />;
+    }
+    if (error && properties.length > 0) {
+      return (
+        <TouchableOpacity style={styles.footer} onPress={retry}>
+          <Text style={styles.footerText}>No se pudieron cargar más lugares. Toca para reintentar.</Text>
+        </TouchableOpacity>
+      );
+    }
+    return null;
+  };
+
+  const renderEmpty = () => {
+    if (isLoading) {
+      return (
+        <View style={styles.center}>
+          <ActivityIndicator size="large" color="#FF6F00" />
+        </View>
+      );
+    }
+    if (error) {
+      return (
+        <View style={styles.center}>
+          <Text style={styles.errorTitle}>No se pudieron cargar los lugares</Text>
+          <Text style={styles.errorText}>{formatErrorMessage(error)}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={retry}>
+            <Text style={styles.retryButtonText}>Reintentar</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+    return (
+      <View style={styles.center}>
+        <Text style={styles.errorText}>Aún no hay lugares para mostrar.</Text>
+      </View>
+    );
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       {/* Header with back button */}
@@ -22,14 +69,23 @@ export default function ListScreen({ navigation }) {
       </View>
 
       <FlatList
-        data={DATA}
-        keyExtractor={(item) => item.id}
+        data={properties}
+        keyExtractor={(item) => String(item.id)}
         contentContainerStyle={styles.list}
         renderItem={({ item }) => (
-          <TouchableOpacity style={styles.item} onPress={() => navigation.navigate('Detail')}>
+          <TouchableOpacity
+            style={styles.item}
+            onPress={() => navigation.navigate('Detail', { propertyId: item.id })}
+          >
             <Text style={styles.itemText}>{item.name}</Text>
           </TouchableOpacity>
         )}
+        onEndReached={fetchNextPage}
+        onEndReachedThreshold={0.5}
+        refreshing={isRefreshing}
+        onRefresh={refetch}
+        ListEmptyComponent={renderEmpty}
+        ListFooterComponent={renderFooter}
       />
     </SafeAreaView>
   );
@@ -89,4 +145,42 @@ const styles = StyleSheet.create({
     color: '#fff', 
     fontSize: 16 
   },
+  center: {
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  footer: {
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
+  footerText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+  },
+  errorTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+  retryButton: {
+    backgroundColor: '#FF6F00',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginTop: 16,
+  },
+  retryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
 });
@@ -13,6 +13,11 @@ import {
 } from 'react-native';
 import Header from '../components/Header';
 import { useAuth } from '../contexts/AuthContext';
+import { ValidationError } from '../services/ApiError';
+import { alertError } from '../services/errorMessages';
+import { createLogger } from '../services/Logger';
+
+const logger = createLogger('LoginScreen');
 
 export default function LoginScreen({ navigation }) {
   const [email, setEmail] = useState('');
@@ -71,16 +76,15 @@ export default function LoginScreen({ navigation }) {
       const credentials = {
         email: email.trim(),
         password: password,
-        device_name: Platform.OS === 'ios' ? 'iPhone' : 'Android',
         remember: true,
       };
 
-      console.log('Attempting login with:', { email: credentials.email, device_name: credentials.device_name });
+      logger.debug('Attempting login with', { email: credentials.email });
 
       const result = await login(credentials);
 
       if (result.success) {
-        console.log('Login successful:', result.user.name);
+        logger.debug('Login successful', result.user.name);
         
         // Show success message
         Alert.alert(
@@ -94,27 +98,28 @@ export default function LoginScreen({ navigation }) {
           ]
         );
       } else {
-        console.error('Login failed:', result.message);
-        Alert.alert('Error', result.message || 'Error al iniciar sesión');
+        logger.error('Login failed', result.message);
+        showLoginError(result.error);
       }
     } catch (error) {
-      console.error('Login error:', error);
-      
-      // Handle specific error types
-      if (error.message.includes('401')) {
-        Alert.alert('Error', 'Correo o contraseña incorrectos');
-      } else if (error.message.includes('422')) {
-        Alert.alert('Error', 'Datos de entrada inválidos');
-      } else if (error.message.includes('Network')) {
-        Alert.alert('Error de conexión', 'Verifica tu conexión a internet e intenta nuevamente');
-      } else {
-        Alert.alert('Error', 'Error al iniciar sesión. Intenta nuevamente.');
-      }
+      logger.error('Login error', error);
+      showLoginError(error);
     } finally {
       setIsLoading(false);
     }
   };
 
+  // Field errors go next to the inputs; the alert text comes from errorMessages
+  const showLoginError = (error) => {
+    if (error instanceof ValidationError) {
+      setErrors({
+        email: error.getFieldError('email') || undefined,
+        password: error.getFieldError('password') || undefined,
+      });
+    }
+    alertError(error, { context: 'login', onRetry: handleLogin });
+  };
+
   // Handle forgot password
   const handleForgotPassword = async () => {
     if (!email.trim()) {
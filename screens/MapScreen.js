@@ -4,39 +4,76 @@ import { StyleSheet, View, ActivityIndicator, Text, Image, TouchableOpacity, Saf
 import MapView, { Marker } from 'react-native-maps';
 import * as Location from 'expo-location';
 import GUpin from '../assets/GUpin.png';
+import apiService from '../services';
+import { isCancelError } from '../services/ApiError';
+import { formatErrorMessage } from '../services/errorMessages';
+import { createLogger } from '../services/Logger';
+import { useAbortSignal } from '../hooks/useAbortSignal';
+import { useConnectivity } from '../hooks/useConnectivity';
+
+const logger = createLogger('MapScreen');
 
 export default function MapScreen({ navigation }) {
   const [pos, setPos] = useState(null);
   const [loading, setLoading] = useState(true);
   const [permDenied, setPermDenied] = useState(false);
   const [locationError, setLocationError] = useState(false);
+  const [places, setPlaces] = useState([]);
+  const [placesError, setPlacesError] = useState(null);
+  const [placesAttempt, setPlacesAttempt] = useState(0);
+  const { withSignal, isMounted } = useAbortSignal();
+  const { isOffline } = useConnectivity();
+
+  // Restaurants shown as markers; the request is canceled if the user leaves.
+  // Offline this serves the cached list; it reloads once the device reconnects
+  useEffect(() => {
+    const loadPlaces = async () => {
+      try {
+        const response = await withSignal(signal => apiService.listProperties(
+          { status: 'active', per_page: 100 },
+          { signal }
+        ));
+        setPlaces(response.data?.properties || []);
+        setPlacesError(null);
+      } catch (error) {
+        if (isCancelError(error)) return;
+        logger.warn('Error loading places', error);
+        setPlacesError(error);
+      }
+    };
+
+    loadPlaces();
+  }, [withSignal, isOffline, placesAttempt]);
 
   useEffect(() => {
     const getLocation = async () => {
       try {
-        console.log('📍 MapScreen: Requesting location permissions...');
+        logger.debug('Requesting location permissions...');
         const { status } = await Location.requestForegroundPermissionsAsync();
-        console.log('📍 MapScreen: Location permission status:', status);
+        logger.debug('Location permission status', status);
+        if (!isMounted()) return;
         
         if (status !== 'granted') { 
           setPermDenied(true); 
-          console.log('📍 MapScreen: Location permission denied');
+          logger.debug('Location permission denied');
           setLoading(false);
           return; 
         }
         
-        console.log('📍 MapScreen: Getting current position...');
+        logger.debug('Getting current position...');
         const { coords } = await Location.getCurrentPositionAsync({
           accuracy: Location.Accuracy.Balanced,
           timeout: 10000,
           maximumAge: 60000,
         });
         
-        console.log('📍 MapScreen: Position obtained:', coords);
+        logger.debug('Position obtained', coords);
+        if (!isMounted()) return;
         setPos({ latitude: coords.latitude, longitude: coords.longitude });
         setLoading(false);
       } catch (e) {
-        console.warn('📍 MapScreen: Error getting location:', e);
+        logger.warn('Error getting location', e);
+        if (!isMounted()) return;
         setLocationError(true);
         setPos({ latitude: 19.4326, longitude: -99.1332 });
         setLoading(false);
@@ -44,7 +81,7 @@ export default function MapScreen({ navigation }) {
     };
 
     getLocation();
-  }, []);
+  }, [isMounted]);
 
   const handleGoBack = () => {
     navigation.goBack();
@@ -56,18 +93,20 @@ export default function MapScreen({ navigation }) {
     setPermDenied(false);
     
     try {
-      console.log('📍 MapScreen: Retrying location...');
+      logger.debug('Retrying location...');
       const { coords } = await Location.getCurrentPositionAsync({
         accuracy: Location.Accuracy.Balanced,
         timeout: 10000,
         maximumAge: 60000,
       });
       
-      console.log('📍 MapScreen: Position obtained on retry:', coords);
+      logger.debug('Position obtained on retry', coords);
+      if (!isMounted()) return;
       setPos({ latitude: coords.latitude, longitude: coords.longitude });
       setLoading(false);
     } catch (e) {
-      console.warn('📍 MapScreen: Error on retry:', e);
+      logger.warn('Error on retry', e);
+      if (!isMounted()) return;
       setLocationError(true);
       setPos({ latitude: 19.4326, longitude: -99.1332 });
       setLoading(false);
@@ -127,7 +166,9 @@ export default function MapScreen({ navigation }) {
         <View style={styles.center}>
           <Text style={styles.errorTitle}>No se pudo obtener tu ubicación</Text>
           <Text style={styles.errorText}>
-            Verifica que tengas conexión a internet y que la ubicación esté habilitada.
+            {isOffline
+              ? 'Estás sin conexión a internet. Verifica que la ubicación esté habilitada e inténtalo de nuevo.'
+              : 'Verifica que la ubicación esté habilitada.'}
           </Text>
           <TouchableOpacity style={styles.retryButton} onPress={retryLocation}>
             <Text style={styles.retryButtonText}>Reintentar</Text>
@@ -144,7 +185,7 @@ export default function MapScreen({ navigation }) {
     longitudeDelta: 0.01,
   };
 
-  console.log('📍 MapScreen: Rendering map with region:', region);
+  logger.debug('Rendering map with region', region);
 
   return (
     <SafeAreaView style={styles.container}>
@@ -156,13 +197,27 @@ export default function MapScreen({ navigation }) {
         {locationError && (
           <Text style={styles.locationWarning}>Ubicación aproximada</Text>
         )}
+        {isOffline && !locationError && (
+          <Text style={styles.locationWarning}>Sin conexión</Text>
+        )}
       </View>
 
+      {placesError && (
+        <View style={styles.placesError}>
+          <Text style={styles.placesErrorText}>
+            {formatErrorMessage(placesError, { context: 'properties' })}
+          </Text>
+          <TouchableOpacity onPress={() => setPlacesAttempt(attempt => attempt + 1)}>
+            <Text style={styles.placesErrorRetry}>Reintentar</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
       <MapView
         style={styles.map}
         initialRegion={region}
-        onMapReady={() => console.log('📍 MapScreen: Map loaded successfully')}
-        onError={(error) => console.error('📍 MapScreen: Map error:', error)}
+        onMapReady={() => logger.debug('Map loaded successfully')}
+        onError={(error) => logger.error('Map error', error)}
       >
         <Marker 
           coordinate={pos} 
@@ -171,6 +226,15 @@ export default function MapScreen({ navigation }) {
         >
           <Image source={GUpin} style={{ width: 40, height: 40 }} />
         </Marker>
+        {places.filter(place => place.latitude != null && place.longitude != null).map(place => (
+          <Marker
+            key={place.id}
+            coordinate={{ latitude: place.latitude, longitude: place.longitude }}
+            title={place.name}
+            description={place.address}
+            onCalloutPress={() => navigation.navigate('Detail', { propertyId: place.id })}
+          />
+        ))}
       </MapView>
     </SafeAreaView>
   );
@@ -222,6 +286,24 @@ const styles = StyleSheet.create({
     color: '#FF6B35',
     fontWeight: '500',
   },
+  placesError: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    backgroundColor: '#fff3cd',
+  },
+  placesErrorText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#856404',
+    marginRight: 10,
+  },
+  placesErrorRetry: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#FF6F00',
+  },
   map: { 
     flex: 1,
     backgroundColor: '#e0e0e0'
@@ -0,0 +1,384 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  FlatList,
+  ScrollView,
+  TouchableOpacity,
+  SafeAreaView,
+  ActivityIndicator,
+  Alert,
+  Share,
+} from 'react-native';
+import networkInspector from '../services/NetworkInspector';
+import { useNetworkInspector } from '../hooks/useNetworkInspector';
+import { createLogger } from '../services/Logger';
+
+const logger = createLogger('NetworkInspectorScreen');
+
+const STATUS_FILTERS = [
+  { key: 'all', label: 'All' },
+  { key: 'success', label: '2xx/3xx' },
+  { key: 'error', label: '4xx/5xx' },
+  { key: 'failed', label: 'Failed' },
+];
+
+const statusColor = (entry) => {
+  if (entry.error) return '#dc3545';
+  if (entry.status === null) return '#999';
+  if (entry.status >= 400) return '#fd7e14';
+  return '#28a745';
+};
+
+const statusLabel = (entry) => {
+  if (entry.error) return entry.error.name;
+  if (entry.status === null) return 'pending';
+  return String(entry.status);
+};
+
+const formatHeaders = (headers) => {
+  const lines = Object.entries(headers).map(([name, value]) => `${name}: ${value}`);
+  return lines.length > 0 ? lines.join('\n') : '(none)';
+};
+
+export default function NetworkInspectorScreen({ navigation }) {
+  const [text, setText] = useState('');
+  const [status, setStatus] = useState('all');
+  const [selectedId, setSelectedId] = useState(null);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const { entries, total } = useNetworkInspector({ text, status });
+  const selected = selectedId !== null ? networkInspector.getEntry(selectedId) : null;
+
+  const handleGoBack = () => {
+    if (selected) {
+      setSelectedId(null);
+      return;
+    }
+    navigation.goBack();
+  };
+
+  const share = async (message, title) => {
+    try {
+      await Share.share({ message, title });
+    } catch (error) {
+      logger.error('Share failed', error);
+      Alert.alert('Share failed', error.message);
+    }
+  };
+
+  const replay = async (entry) => {
+    setIsReplaying(true);
+    try {
+      const response = await networkInspector.replay(entry.id);
+      logger.debug('Replay finished', { status: response.status });
+    } catch (error) {
+      // The failed replay is recorded like any other request
+      logger.debug('Replay failed', error);
+    } finally {
+      setIsReplaying(false);
+      // The replay is the newest entry
+      const [latest] = networkInspector.getEntries();
+      if (latest) setSelectedId(latest.id);
+    }
+  };
+
+  const confirmClear = () => {
+    Alert.alert('Clear requests', 'Forget every recorded request?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Clear', style: 'destructive', onPress: () => networkInspector.clear() },
+    ]);
+  };
+
+  const renderEntry = ({ item }) => (
+    <TouchableOpacity style={styles.item} onPress={() => setSelectedId(item.id)}>
+      <View style={styles.itemHeader}>
+        <Text style={styles.method}>{item.method}</Text>
+        <Text style={[styles.status, { color: statusColor(item) }]}>{statusLabel(item)}</Text>
+        <Text style={styles.duration}>{item.duration !== null ? `${item.duration} ms` : ''}</Text>
+      </View>
+      <Text style={styles.endpoint} numberOfLines={2}>{item.endpoint}</Text>
+      {item.attempt > 1 ? <Text style={styles.detail}>Attempt {item.attempt}</Text> : null}
+    </TouchableOpacity>
+  );
+
+  const renderDetail = (entry) => (
+    <ScrollView contentContainerStyle={styles.detailContent}>
+      <Text style={styles.endpoint} selectable>{entry.method} {entry.url}</Text>
+      <Text style={[styles.status, { color: statusColor(entry) }]}>
+        {statusLabel(entry)} {entry.statusText}
+      </Text>
+      <Text style={styles.detail}>
+        {new Date(entry.startedAt).toLocaleTimeString()} · {entry.duration ?? '…'} ms
+        {entry.size !== null ? ` · ${entry.size} B` : ''} · attempt {entry.attempt}
+      </Text>
+      {entry.error ? <Text style={styles.errorText}>{entry.error.message}</Text> : null}
+
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.actionButton} onPress={() => replay(entry)} disabled={isReplaying}>
+          {isReplaying
+            ? <ActivityIndicator color="#fff" />
+            : <Text style={styles.actionButtonText}>Replay</Text>}
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => share(networkInspector.toCurl(entry), 'curl')}
+        >
+          <Text style={styles.actionButtonText}>Copy as curl</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.sectionTitle}>Request headers</Text>
+      <Text style={styles.code} selectable>{formatHeaders(entry.requestHeaders)}</Text>
+
+      {entry.requestBody ? (
+        <>
+          <Text style={styles.sectionTitle}>Request body</Text>
+          <Text style={styles.code} selectable>{entry.requestBody}</Text>
+        </>
+      ) : null}
+
+      <Text style={styles.sectionTitle}>Response headers</Text>
+      <Text style={styles.code} selectable>{formatHeaders(entry.responseHeaders)}</Text>
+
+      <Text style={styles.sectionTitle}>Response body</Text>
+      <Text style={styles.code} selectable>{entry.responseBody || '(empty)'}</Text>
+    </ScrollView>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={handleGoBack}>
+          <Text style={styles.backButtonText}>← Volver</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{selected ? 'Request' : `Network (${total})`}</Text>
+        {!selected ? (
+          <>
+            <TouchableOpacity
+              onPress={() => share(JSON.stringify(networkInspector.toHar(), null, 2), 'session.har')}
+              disabled={total === 0}
+            >
+              <Text style={styles.headerAction}>HAR</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={confirmClear} disabled={total === 0}>
+              <Text style={styles.headerAction}>Clear</Text>
+            </TouchableOpacity>
+          </>
+        ) : null}
+      </View>
+
+      {selected ? renderDetail(selected) : (
+        <>
+          <View style={styles.filters}>
+            <TextInput
+              style={styles.input}
+              value={text}
+              onChangeText={setText}
+              placeholder="Filter by method, URL or status"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <View style={styles.chips}>
+              {STATUS_FILTERS.map(filter => (
+                <TouchableOpacity
+                  key={filter.key}
+                  style={[styles.chip, status === filter.key && styles.chipActive]}
+                  onPress={() => setStatus(filter.key)}
+                >
+                  <Text style={[styles.chipText, status === filter.key && styles.chipTextActive]}>
+                    {filter.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+
+          <FlatList
+            data={entries}
+            keyExtractor={(item) => String(item.id)}
+            renderItem={renderEntry}
+            contentContainerStyle={styles.list}
+            ListEmptyComponent={(
+              <Text style={styles.emptyText}>
+                {networkInspector.isEnabled() ? 'No requests recorded yet.' : 'The inspector is disabled.'}
+              </Text>
+            )}
+          />
+        </>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 10,
+    paddingBottom: 15,
+    paddingHorizontal: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  backButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: '#f0f0f0',
+    marginRight: 15,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: '#333',
+    fontWeight: '500',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+  },
+  headerAction: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#FF6F00',
+    marginLeft: 15,
+  },
+  filters: {
+    paddingHorizontal: 20,
+    paddingTop: 15,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    backgroundColor: '#f8f9fa',
+  },
+  chips: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: '#FF6F00',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  list: {
+    padding: 20,
+  },
+  item: {
+    padding: 12,
+    marginBottom: 10,
+    borderRadius: 10,
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  method: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#333',
+    marginRight: 10,
+  },
+  status: {
+    fontSize: 13,
+    fontWeight: '600',
+    flex: 1,
+  },
+  duration: {
+    fontSize: 12,
+    color: '#666',
+  },
+  endpoint: {
+    fontSize: 14,
+    color: '#333',
+  },
+  detail: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  detailContent: {
+    padding: 20,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#dc3545',
+    marginTop: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 15,
+  },
+  actionButton: {
+    backgroundColor: '#FF6F00',
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    marginRight: 10,
+    minWidth: 90,
+    alignItems: 'center',
+  },
+  actionButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 6,
+  },
+  code: {
+    fontFamily: 'monospace',
+    fontSize: 12,
+    color: '#333',
+    backgroundColor: '#f8f9fa',
+    padding: 10,
+    borderRadius: 6,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    paddingVertical: 40,
+  },
+});
@@ -12,6 +12,9 @@ import {
 import { PanGestureHandler, State } from 'react-native-gesture-handler';
 import { useAuth } from '../contexts/AuthContext';
 import analyticsService from '../services/AnalyticsService';
+import { createLogger } from '../services/Logger';
+
+const logger = createLogger('OnboardingScreen');
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -49,19 +52,19 @@ export default function OnboardingScreen({ navigation }) {
 
   // Initialize analytics service on component mount
   React.useEffect(() => {
-    console.log('🚀 OnboardingScreen: Initializing analytics service');
+    logger.debug('🚀 Initializing analytics service');
     try {
       // Generate a simple device UUID for testing
       const deviceUUID = `device-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
       analyticsService.initialize(deviceUUID);
-      console.log('✅ OnboardingScreen: Analytics service initialized successfully');
+      logger.debug('✅ Analytics service initialized successfully');
     } catch (error) {
-      console.error('❌ OnboardingScreen: Failed to initialize analytics service:', error);
+      logger.error('❌ Failed to initialize analytics service', error);
     }
   }, []);
 
   const handleNext = async () => {
-    console.log('🔄 OnboardingScreen: handleNext called', {
+    logger.debug('🔄 handleNext called', {
       currentStep,
       totalSteps,
       selectedFoodTypes: selectedFoodTypes.length,
@@ -72,7 +75,7 @@ export default function OnboardingScreen({ navigation }) {
       setCurrentStep(currentStep + 1);
     } else {
       // Onboarding complete, track analytics
-      console.log('🎉 OnboardingScreen: Onboarding complete, tracking analytics');
+      logger.debug('🎉 Onboarding complete, tracking analytics');
       try {
         const onboardingData = {
           food_types: selectedFoodTypes.map(food => food.name).join(','),
@@ -80,15 +83,15 @@ export default function OnboardingScreen({ navigation }) {
           location_granted: false, // You can implement location permission check here
         };
 
-        console.log('📊 OnboardingScreen: Sending onboarding data:', onboardingData);
+        logger.debug('📊 Sending onboarding data', onboardingData);
         await analyticsService.trackOnboardingComplete(onboardingData);
-        console.log('✅ OnboardingScreen: Onboarding completion tracked successfully');
+        logger.debug('✅ Onboarding completion tracked successfully');
       } catch (error) {
-        console.error('❌ OnboardingScreen: Failed to track onboarding completion:', error);
+        logger.error('❌ Failed to track onboarding completion', error);
       }
 
       // Navigate to main app
-      console.log('🧭 OnboardingScreen: Navigating to Welcome screen');
+      logger.debug('🧭 Navigating to Welcome screen');
       navigation.replace('Welcome');
     }
   };
@@ -107,9 +110,9 @@ export default function OnboardingScreen({ navigation }) {
         food_types_selected: selectedFoodTypes.length,
         restrictions_selected: selectedRestrictions.length,
       });
-      console.log('Onboarding skip tracked');
+      logger.debug('Onboarding skip tracked');
     } catch (error) {
-      console.error('Failed to track onboarding skip:', error);
+      logger.error('Failed to track onboarding skip', error);
     }
 
     navigation.replace('Welcome');
@@ -0,0 +1,279 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  SafeAreaView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import apiService from '../services';
+import { useApiQuery } from '../hooks/useApiQuery';
+import { createLogger } from '../services/Logger';
+import { alertError, formatErrorMessage } from '../services/errorMessages';
+
+const logger = createLogger('SessionsScreen');
+
+const formatLastUsed = (value) => {
+  if (!value) return 'Sin actividad registrada';
+  return `Último uso: ${new Date(value).toLocaleString('es-MX')}`;
+};
+
+export default function SessionsScreen({ navigation }) {
+  const { data, isLoading, isRefreshing, error, refetch } = useApiQuery('listSessions');
+  const [revokingId, setRevokingId] = useState(null);
+  const sessions = data?.data?.sessions || [];
+  const hasOtherSessions = sessions.some(session => !session.is_current);
+
+  const handleGoBack = () => {
+    navigation.goBack();
+  };
+
+  const revoke = async (session) => {
+    setRevokingId(session.id);
+    try {
+      await apiService.revokeSession(session.id);
+
+      // Revoking this device's session expires it, which already leads to Login
+      if (session.is_current) return;
+      await refetch();
+    } catch (revokeError) {
+      logger.error('Error revoking session', revokeError);
+      alertError(revokeError, { title: 'No se pudo cerrar la sesión', onRetry: () => revoke(session) });
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const confirmRevoke = (session) => {
+    Alert.alert(
+      'Cerrar sesión',
+      session.is_current
+        ? 'Se cerrará la sesión en este dispositivo.'
+        : `Se cerrará la sesión en "${session.device_name}".`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        { text: 'Cerrar sesión', style: 'destructive', onPress: () => revoke(session) },
+      ]
+    );
+  };
+
+  const confirmRevokeOthers = () => {
+    Alert.alert(
+      'Cerrar las demás sesiones',
+      'Se cerrará la sesión en todos los dispositivos excepto este.',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Cerrar sesiones',
+          style: 'destructive',
+          onPress: async () => {
+            setRevokingId('others');
+            try {
+              await apiService.revokeOtherSessions();
+              await refetch();
+            } catch (revokeError) {
+              logger.error('Error revoking other sessions', revokeError);
+              alertError(revokeError, { title: 'No se pudieron cerrar las sesiones' });
+            } finally {
+              setRevokingId(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderSession = ({ item }) => (
+    <View style={[styles.item, item.is_current && styles.currentItem]}>
+      <View style={styles.itemHeader}>
+        <Text style={styles.deviceName}>{item.device_name}</Text>
+        {item.is_current ? <Text style={styles.badge}>Este dispositivo</Text> : null}
+      </View>
+      <Text style={styles.detail}>
+        {[item.device_model, item.os_name && `${item.os_name} ${item.os_version || ''}`.trim()]
+          .filter(Boolean)
+          .join(' · ')}
+      </Text>
+      {item.app_version ? <Text style={styles.detail}>App {item.app_version}</Text> : null}
+      <Text style={styles.detail}>{formatLastUsed(item.last_used_at)}</Text>
+
+      <TouchableOpacity
+        style={styles.revokeButton}
+        onPress={() => confirmRevoke(item)}
+        disabled={revokingId !== null}
+      >
+        {revokingId === item.id
+          ? <ActivityIndicator color="#dc3545" />
+          : <Text style={styles.revokeButtonText}>Cerrar sesión</Text>}
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderEmpty = () => {
+    if (isLoading) {
+      return <ActivityIndicator style={styles.center} size="large" color="#FF6F00" />;
+    }
+    if (error) {
+      return (
+        <View style={styles.center}>
+          <Text style={styles.errorText}>No se pudieron cargar las sesiones.</Text>
+          <Text style={styles.errorText}>{formatErrorMessage(error)}</Text>
+          <TouchableOpacity onPress={refetch}>
+            <Text style={styles.link}>Reintentar</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={handleGoBack}>
+          <Text style={styles.backButtonText}>← Volver</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Sesiones activas</Text>
+      </View>
+
+      <FlatList
+        data={sessions}
+        keyExtractor={(item) => String(item.id)}
+        renderItem={renderSession}
+        contentContainerStyle={styles.list}
+        refreshing={isRefreshing}
+        onRefresh={refetch}
+        ListEmptyComponent={renderEmpty}
+        ListFooterComponent={hasOtherSessions ? (
+          <TouchableOpacity
+            style={styles.revokeOthersButton}
+            onPress={confirmRevokeOthers}
+            disabled={revokingId !== null}
+          >
+            {revokingId === 'others'
+              ? <ActivityIndicator color="#fff" />
+              : <Text style={styles.revokeOthersText}>Cerrar todas las demás sesiones</Text>}
+          </TouchableOpacity>
+        ) : null}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 10,
+    paddingBottom: 15,
+    paddingHorizontal: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  backButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: '#f0f0f0',
+    marginRight: 15,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: '#333',
+    fontWeight: '500',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+  },
+  list: {
+    padding: 20,
+  },
+  item: {
+    padding: 15,
+    marginBottom: 12,
+    borderRadius: 12,
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+  },
+  currentItem: {
+    borderColor: '#FF6F00',
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  deviceName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    flex: 1,
+  },
+  badge: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#FF6F00',
+  },
+  detail: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  revokeButton: {
+    alignSelf: 'flex-start',
+    marginTop: 10,
+  },
+  revokeButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#dc3545',
+  },
+  revokeOthersButton: {
+    backgroundColor: '#dc3545',
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  revokeOthersText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  center: {
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  link: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FF6F00',
+  },
+});
@@ -1,10 +1,14 @@
 import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Alert, SafeAreaView } from 'react-native';
-import ApiTest from '../components/ApiTest';
+import OfflineQueueStatus from '../components/OfflineQueueStatus';
 import { useAuth } from '../contexts/AuthContext';
+import { alertError } from '../services/errorMessages';
+import { createLogger } from '../services/Logger';
+
+const logger = createLogger('WelcomeScreen');
 
 export default function WelcomeScreen({ navigation }) {
-  const { user, logout, isAdmin, isSectorAdmin, isPropertyOwner, storageAvailable } = useAuth();
+  const { user, logout, isAdmin, isSectorAdmin, isPropertyOwner, storageAvailable, storageBackend } = useAuth();
 
   const handleGoBack = () => {
     navigation.goBack();
@@ -24,8 +28,8 @@ export default function WelcomeScreen({ navigation }) {
               await logout();
               navigation.replace('Login');
             } catch (error) {
-              console.error('Logout error:', error);
-              Alert.alert('Error', 'Error al cerrar sesión');
+              logger.error('Logout error', error);
+              alertError(error, { title: 'No se pudo cerrar la sesión' });
             }
           }
         }
@@ -61,12 +65,15 @@ export default function WelcomeScreen({ navigation }) {
           {__DEV__ && (
             <View style={styles.storageStatus}>
               <Text style={[styles.storageStatusText, { color: storageAvailable ? '#28a745' : '#dc3545' }]}>
-                💾 Storage: {storageAvailable ? 'Available' : 'Not Available'}
+                💾 Storage: {storageAvailable ? 'Available' : 'Not Available'} ({storageBackend || 'unknown'})
               </Text>
             </View>
           )}
         </View>
 
+        {/* Changes waiting to be sent or rejected by the server */}
+        <OfflineQueueStatus />
+
         {/* Quick Actions */}
         <View style={styles.actionsSection}>
           <Text style={styles.sectionTitle}>Acciones rápidas</Text>
@@ -87,6 +94,14 @@ export default function WelcomeScreen({ navigation }) {
             <Text style={styles.actionButtonSubtext}>Ver todos los restaurantes</Text>
           </TouchableOpacity>
 
+          <TouchableOpacity 
+            style={styles.actionButton}
+            onPress={() => navigation.navigate('Sessions')}
+          >
+            <Text style={styles.actionButtonText}>🔐 Sesiones activas</Text>
+            <Text style={styles.actionButtonSubtext}>Revisa y cierra sesiones en otros dispositivos</Text>
+          </TouchableOpacity>
+
           {isPropertyOwner() && (
             <TouchableOpacity 
               style={styles.actionButton}
@@ -118,11 +133,17 @@ export default function WelcomeScreen({ navigation }) {
           )}
         </View>
 
-        {/* API Test Section (for development) */}
+        {/* Developer tools */}
         {__DEV__ && (
           <View style={styles.testSection}>
-            <Text style={styles.sectionTitle}>🔧 API Testing (Development)</Text>
-            <ApiTest />
+            <Text style={styles.sectionTitle}>🔧 Developer Tools</Text>
+            <TouchableOpacity 
+              style={styles.actionButton}
+              onPress={() => navigation.navigate('NetworkInspector')}
+            >
+              <Text style={styles.actionButtonText}>🔎 Network Inspector</Text>
+              <Text style={styles.actionButtonSubtext}>Requests, responses, replay, curl and HAR export</Text>
+            </TouchableOpacity>
           </View>
         )}
 
@@ -0,0 +1,86 @@
+/**
+ * Mock GU API Server
+ * Local stand-in for the real backend, serving the same handlers as the
+ * in-process mock transport. Point the app at it with the "local" environment
+ * (http://localhost:8000/api/v1) or EnvironmentService.setCustomBaseURL().
+ *
+ * Usage: npm run mock-server [-- --port 8000 --latency 300]
+ */
+
+import http from 'node:http';
+import { MockBackend } from '../services/mock/mockBackend.js';
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const port = Number(getArg('port', process.env.PORT || 8000));
+const latency = Number(getArg('latency', 0));
+const backend = new MockBackend();
+
+const readRaw = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => {
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+/**
+ * Decode multipart fields the way the in-process transport does; files become
+ * { uri, name, type } since nothing is written to disk
+ */
+const parseMultipart = async (raw, headers) => {
+  const form = await new Request('http://localhost', { method: 'POST', headers, body: raw }).formData();
+  const fields = {};
+  for (const [name, value] of form.entries()) {
+    const parsed = typeof value === 'string'
+      ? value
+      : { uri: `mock://uploads/${Date.now()}-${value.name}`, name: value.name, type: value.type };
+    if (name.endsWith('[]')) {
+      const key = name.slice(0, -2);
+      fields[key] = [...(fields[key] || []), parsed];
+    } else {
+      fields[name] = parsed;
+    }
+  }
+  return fields;
+};
+
+const readBody = async (req) => {
+  const raw = await readRaw(req);
+  if (raw.length === 0) return null;
+  if ((req.headers['content-type'] || '').startsWith('multipart/form-data')) {
+    return parseMultipart(raw, { 'content-type': req.headers['content-type'] });
+  }
+  return JSON.parse(raw.toString());
+};
+
+const server = http.createServer(async (req, res) => {
+  let result;
+  try {
+    const body = await readBody(req);
+    if (latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, latency));
+    }
+    result = backend.handle({ method: req.method, url: req.url, headers: req.headers, body });
+  } catch (error) {
+    result = {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+      body: { success: false, message: 'Malformed request body.' },
+    };
+  }
+
+  res.writeHead(result.status, result.headers);
+  res.end(result.body === null ? undefined : JSON.stringify(result.body));
+  console.log(`${req.method} ${req.url} -> ${result.status}`);
+});
+
+server.listen(port, () => {
+  console.log(`Mock GU API listening on http://localhost:${port}/api/v1`);
+  console.log('Accounts (password "Password123!"): usuario@gu.test (1), propietario@gu.test (2), sector@gu.test (3), admin@gu.test (4)');
+});
@@ -4,8 +4,15 @@
  */
 
 import apiService from './ApiService.js';
-import { Platform } from 'react-native';
+import { OfflineError, ResponseSchemaError, TimeoutError, NetworkError } from './ApiError';
+import offlineQueue from './OfflineQueue';
+import ApiMetrics from './ApiMetrics';
+import config from './config';
+import { AppState, Platform } from 'react-native';
 import Constants from 'expo-constants';
+import { createLogger } from './Logger';
+
+const logger = createLogger('AnalyticsService');
 
 class AnalyticsService {
   constructor() {
@@ -13,6 +20,155 @@ class AnalyticsService {
     this.appVersion = Constants.expoConfig?.version || '1.0.0';
     this.platform = Platform.OS;
     this.platformVersion = Platform.Version?.toString() || 'unknown';
+
+    // Surface backend contract drift, also from release builds where the
+    // mismatch isn't thrown
+    apiService.addSchemaErrorListener((error, request) => this.reportSchemaError(error, request));
+
+    // Time API calls; summaries go out as performance_metric events
+    this.apiMetrics = new ApiMetrics({
+      sampleRate: config.metrics.sampleRate,
+      maxSamples: config.metrics.maxSamplesPerEndpoint,
+    });
+    this.metricsTimer = null;
+    this.appStateSubscription = null;
+    if (config.metrics.enabled) {
+      apiService.addResponseInterceptor((response, request) => this.recordApiResponse(response, request));
+      apiService.addErrorInterceptor((error, request) => this.recordApiFailure(error, request));
+    }
+  }
+
+  // ============================================================================
+  // API METRICS
+  // ============================================================================
+
+  /**
+   * Record an HTTP response (response interceptor)
+   * Every attempt is recorded on its own; `retries` says how many came before.
+   * @param {Object} response - API response
+   * @param {Object} request - Request that produced it
+   * @returns {Object} The response, unchanged
+   */
+  recordApiResponse(response, request) {
+    // Analytics traffic would otherwise report on itself
+    if (!request.endpoint.startsWith('/analytics')) {
+      this.apiMetrics.record({
+        method: request.method,
+        endpoint: request.endpoint,
+        status: response.status,
+        duration: response.duration,
+        size: response.size,
+        retries: request.attempt - 1,
+      });
+    }
+    return response;
+  }
+
+  /**
+   * Record a request that got no response at all (error interceptor)
+   * Failures with a status were already recorded as responses.
+   * @param {Error} error - Final request error
+   * @param {Object} request - Failed request
+   */
+  recordApiFailure(error, request) {
+    if (!(error instanceof NetworkError || error instanceof TimeoutError)) return;
+    // Never sent, so there is nothing to time
+    if (error instanceof OfflineError || request.endpoint.startsWith('/analytics')) return;
+
+    this.apiMetrics.record({
+      method: request.method,
+      endpoint: request.endpoint,
+      status: error instanceof TimeoutError ? 'timeout' : 'network',
+      retries: (error.attempts || 1) - 1,
+    });
+  }
+
+  /**
+   * Flush every config.metrics.flushInterval and when the app is backgrounded
+   */
+  startApiMetrics() {
+    // Already running: a second timer would flush every window twice
+    if (!config.metrics.enabled || this.metricsTimer || this.appStateSubscription) return;
+
+    this.metricsTimer = setInterval(() => this.flushApiMetrics(), config.metrics.flushInterval);
+    this.appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'background') {
+        this.flushApiMetrics();
+      }
+    });
+  }
+
+  /**
+   * Stop the periodic and background flushes
+   * Samples recorded since the last flush are kept for the next start.
+   */
+  stopApiMetrics() {
+    clearInterval(this.metricsTimer);
+    this.metricsTimer = null;
+    this.appStateSubscription?.remove();
+    this.appStateSubscription = null;
+  }
+
+  /**
+   * Send one performance_metric event per endpoint for the current window
+   * The event value is the p95 latency; the other percentiles, payload size,
+   * error and retry counts ride along. Nothing is sent before initialize().
+   * @returns {Promise<number>} Events sent
+   */
+  async flushApiMetrics() {
+    if (!this.deviceUUID) return 0;
+
+    const { windowStart, windowEnd, endpoints } = this.apiMetrics.flush();
+    const summaries = endpoints.slice(0, config.metrics.maxEventsPerFlush);
+    if (summaries.length === 0) return 0;
+
+    const results = await Promise.allSettled(summaries.map(summary => (
+      this.trackPerformance('api_latency', summary.p95, 'ms', {
+        endpoint: summary.endpoint,
+        sample_count: summary.count,
+        sample_rate: this.apiMetrics.sampleRate,
+        window_seconds: Math.round((windowEnd - windowStart) / 1000),
+        latency_p50: summary.p50,
+        latency_p90: summary.p90,
+        latency_p95: summary.p95,
+        latency_p99: summary.p99,
+        latency_max: summary.max,
+        avg_payload_size: summary.avgSize,
+        error_count: summary.errors,
+        retry_count: summary.retries,
+        status_codes: Object.entries(summary.statuses).map(([status, count]) => `${status}:${count}`).join(','),
+      })
+    )));
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length > 0) {
+      logger.warn('Some API metrics could not be sent', { failed: failed.length, total: results.length });
+    }
+    return results.length - failed.length;
+  }
+
+  /**
+   * Report a response that failed schema validation (schema error listener)
+   * Whether the error reaches the caller is up to config.strictResponses.
+   * @param {Error} error - Request error
+   * @param {Object} request - Failed request
+   */
+  reportSchemaError(error, request) {
+    if (!(error instanceof ResponseSchemaError) || !this.deviceUUID) return;
+    // A bad analytics response must not trigger another analytics call
+    if (request.endpoint.startsWith('/analytics')) return;
+
+    const issues = error.issues
+      .slice(0, 5)
+      .map(issue => `${issue.path}: expected ${issue.expected}, got ${issue.received}`)
+      .join('; ');
+
+    this.trackError('response_schema', error.message.slice(0, 255), {
+      endpoint: `${request.method} ${request.endpoint}`,
+      schema_issues: issues,
+    }).catch((reportError) => {
+      logger.warn('Failed to report response schema error', reportError);
+    });
   }
 
   /**
@@ -20,7 +176,7 @@ class AnalyticsService {
    * @param {string} deviceUUID - Unique device identifier
    */
   initialize(deviceUUID) {
-    console.log('🔧 Analytics Service Initialization:', {
+    logger.debug('🔧 Analytics Service Initialization', {
       deviceUUID,
       appVersion: this.appVersion,
       platform: this.platform,
@@ -28,6 +184,7 @@ class AnalyticsService {
       timestamp: new Date().toISOString(),
     });
     this.deviceUUID = deviceUUID;
+    this.startApiMetrics();
   }
 
   /**
@@ -50,15 +207,15 @@ class AnalyticsService {
    * @returns {Promise} Analytics response
    */
   async registerEvent(eventKeyword, additionalData = {}) {
-    console.log('📈 Analytics Event:', {
+    logger.debug('📈 Analytics Event', {
       eventKeyword,
-      additionalData: JSON.stringify(additionalData, null, 2),
+      additionalData,
       deviceUUID: this.deviceUUID,
       timestamp: new Date().toISOString(),
     });
 
     if (!this.deviceUUID) {
-      console.error('❌ Analytics Service Error:', {
+      logger.error('❌ Analytics Service Error', {
         error: 'Analytics service not initialized. Call initialize() first.',
         eventKeyword,
         timestamp: new Date().toISOString(),
@@ -72,22 +229,24 @@ class AnalyticsService {
       ...additionalData,
     };
 
-    console.log('📤 Sending Analytics Event:', {
+    logger.debug('📤 Sending Analytics Event', {
       eventKeyword,
-      eventData: JSON.stringify(eventData, null, 2),
+      eventData,
       timestamp: new Date().toISOString(),
     });
 
     try {
-      const result = await apiService.registerAnalyticsEvent(eventData);
-      console.log('✅ Analytics Event Sent Successfully:', {
+      // Validate up front so a bad event is never queued
+      apiService.validateAnalyticsEvent(eventData);
+      const result = await offlineQueue.execute('registerAnalyticsEvent', { body: eventData });
+      logger.debug('✅ Analytics Event Sent Successfully', {
         eventKeyword,
-        result: JSON.stringify(result, null, 2),
+        result,
         timestamp: new Date().toISOString(),
       });
       return result;
     } catch (error) {
-      console.error('❌ Analytics Event Failed:', {
+      logger.error('❌ Analytics Event Failed', {
         eventKeyword,
         error: error.message,
         stack: error.stack,
@@ -0,0 +1,246 @@
+/**
+ * API Errors
+ * Typed error hierarchy thrown by the API services so callers can branch on
+ * the kind of failure instead of matching error messages.
+ */
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details - Error details
+   * @param {number|null} [details.status] - HTTP status code
+   * @param {string|null} [details.code] - Backend error code
+   * @param {any} [details.data] - Parsed response body
+   * @param {Object|null} [details.request] - Request metadata (url, method, endpoint)
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { status = null, code = null, data = null, request = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.request = request;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+
+  /**
+   * Whether the failure is worth retrying
+   * @returns {boolean} Retry status
+   */
+  get isRetryable() {
+    return false;
+  }
+}
+
+/**
+ * The request never reached the server (no connectivity, DNS, TLS...)
+ */
+export class NetworkError extends ApiError {
+  constructor(message = 'Network request failed', details = {}) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+
+  get isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * The device has no connection, so the request wasn't sent at all
+ * Not retried: the offline queue and the response cache take over, and
+ * connectivity coming back is what triggers the next attempt.
+ */
+export class OfflineError extends NetworkError {
+  constructor(message = 'Device is offline', details = {}) {
+    super(message, { code: 'offline', ...details });
+    this.name = 'OfflineError';
+  }
+
+  get isRetryable() {
+    return false;
+  }
+}
+
+/**
+ * The request was aborted after exceeding its timeout
+ */
+export class TimeoutError extends ApiError {
+  constructor(message = 'Request timed out', details = {}) {
+    super(message, details);
+    this.name = 'TimeoutError';
+    this.timeout = details.timeout ?? null;
+  }
+
+  get isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * The caller aborted the request through its AbortSignal
+ * Never retried; screens should ignore it rather than show an error.
+ */
+export class CancelError extends ApiError {
+  constructor(message = 'Request canceled', details = {}) {
+    super(message, { code: 'canceled', ...details });
+    this.name = 'CancelError';
+  }
+}
+
+/**
+ * 401 - Missing, invalid or expired credentials
+ */
+export class AuthenticationError extends ApiError {
+  constructor(message = 'Unauthenticated', details = {}) {
+    super(message, { status: 401, ...details });
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * 403 - Authenticated but lacking the required role or permission
+ */
+export class ForbiddenError extends ApiError {
+  constructor(message = 'Forbidden', details = {}) {
+    super(message, { status: 403, ...details });
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * 422 - Request payload failed backend validation
+ */
+export class ValidationError extends ApiError {
+  constructor(message = 'The given data was invalid', details = {}) {
+    super(message, { status: 422, ...details });
+    this.name = 'ValidationError';
+    this.fieldErrors = details.fieldErrors || {};
+  }
+
+  /**
+   * Get the first error message for a field
+   * @param {string} field - Field name
+   * @returns {string|null} Error message
+   */
+  getFieldError(field) {
+    const messages = this.fieldErrors[field];
+    if (Array.isArray(messages)) return messages[0] || null;
+    return messages || null;
+  }
+}
+
+/**
+ * 429 - Too many requests
+ */
+export class RateLimitError extends ApiError {
+  constructor(message = 'Too many requests', details = {}) {
+    super(message, { status: 429, ...details });
+    this.name = 'RateLimitError';
+    this.retryAfter = details.retryAfter ?? null; // milliseconds
+  }
+
+  get isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * 5xx - The server failed to process the request
+ */
+export class ServerError extends ApiError {
+  constructor(message = 'Server error', details = {}) {
+    super(message, details);
+    this.name = 'ServerError';
+  }
+
+  get isRetryable() {
+    return this.status !== 501;
+  }
+}
+
+/**
+ * 2xx response whose body doesn't match the endpoint's schema (see schemas.js)
+ */
+export class ResponseSchemaError extends ApiError {
+  constructor(message = 'Unexpected response shape', details = {}) {
+    super(message, { code: 'invalid_response', ...details });
+    this.name = 'ResponseSchemaError';
+    this.issues = details.issues || [];
+  }
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @returns {number|null} Delay in milliseconds
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+};
+
+/**
+ * Build the matching ApiError subclass from a non-OK response
+ * @param {Response} response - Fetch response
+ * @param {any} data - Parsed response body
+ * @param {Object} request - Request metadata
+ * @returns {ApiError} Typed error
+ */
+export const createApiError = (response, data, request = null) => {
+  const status = response.status;
+  const message = data?.message || `HTTP ${status}`;
+  const details = {
+    status,
+    code: data?.code || data?.error_code || null,
+    data,
+    request,
+  };
+
+  if (status === 401) {
+    return new AuthenticationError(message, details);
+  }
+  if (status === 403) {
+    return new ForbiddenError(message, details);
+  }
+  if (status === 422) {
+    return new ValidationError(message, { ...details, fieldErrors: data?.errors || {} });
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(response.headers?.get?.('Retry-After'));
+    return new RateLimitError(message, { ...details, retryAfter });
+  }
+  if (status >= 500) {
+    return new ServerError(message, details);
+  }
+
+  return new ApiError(message, details);
+};
+
+/**
+ * Check if a value is an ApiError
+ * @param {any} error - Value to check
+ * @returns {boolean} Whether the value is an ApiError
+ */
+export const isApiError = (error) => error instanceof ApiError;
+
+/**
+ * Check if a request was canceled by its caller
+ * @param {any} error - Value to check
+ * @returns {boolean} Whether the value is a CancelError
+ */
+export const isCancelError = (error) => error instanceof CancelError;
@@ -0,0 +1,145 @@
+/**
+ * API Metrics
+ * Aggregates API call timings per endpoint so they can be reported as one
+ * percentile summary per endpoint instead of one event per request. Samples
+ * live in memory only; flush() hands out the summaries and starts over.
+ */
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Value, or null for an empty list
+ */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+};
+
+/**
+ * Collapse IDs so every call to an endpoint lands in the same bucket
+ * e.g. "/properties/12/photos?page=2" -> "/properties/:id/photos"
+ * @param {string} endpoint - Request path
+ * @returns {string} Normalized path
+ */
+export const normalizeEndpoint = (endpoint) => endpoint
+  .split('?')[0]
+  .replace(/\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(?=\/|$)/gi, '/:uuid')
+  .replace(/\/\d+(?=\/|$)/g, '/:id');
+
+const createBucket = () => ({
+  count: 0,
+  durations: [],
+  timed: 0,
+  totalSize: 0,
+  sized: 0,
+  errors: 0,
+  retries: 0,
+  statuses: {},
+});
+
+export class ApiMetrics {
+  /**
+   * @param {Object} [options] - Aggregation options
+   * @param {number} [options.sampleRate] - Share of calls recorded (0..1)
+   * @param {number} [options.maxSamples] - Durations kept per endpoint for the percentiles
+   */
+  constructor({ sampleRate = 1, maxSamples = 200 } = {}) {
+    this.sampleRate = sampleRate;
+    this.maxSamples = maxSamples;
+    this.buckets = new Map();
+    this.windowStart = Date.now();
+  }
+
+  /**
+   * Record one API call, subject to sampling
+   * @param {Object} sample - Call outcome
+   * @param {string} sample.method - HTTP method
+   * @param {string} sample.endpoint - Request path
+   * @param {number|string} sample.status - HTTP status, or 'network' / 'timeout'
+   * @param {number} [sample.duration] - Request start to full response, in ms
+   * @param {number} [sample.size] - Response body length
+   * @param {number} [sample.retries] - Attempts before this one
+   * @returns {boolean} Whether the call was recorded
+   */
+  record({ method, endpoint, status, duration = null, size = null, retries = 0 }) {
+    if (Math.random() >= this.sampleRate) return false;
+
+    const key = `${method} ${normalizeEndpoint(endpoint)}`;
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = createBucket();
+      this.buckets.set(key, bucket);
+    }
+
+    bucket.count += 1;
+    bucket.retries += retries;
+    bucket.statuses[status] = (bucket.statuses[status] || 0) + 1;
+    // Client errors are answers too; only failures to get one count
+    if (typeof status !== 'number' || status >= 500) {
+      bucket.errors += 1;
+    }
+
+    if (duration !== null) {
+      // Reservoir sampling keeps memory flat on busy endpoints
+      bucket.timed += 1;
+      if (bucket.durations.length < this.maxSamples) {
+        bucket.durations.push(duration);
+      } else {
+        const index = Math.floor(Math.random() * bucket.timed);
+        if (index < this.maxSamples) bucket.durations[index] = duration;
+      }
+    }
+
+    if (size !== null) {
+      bucket.totalSize += size;
+      bucket.sized += 1;
+    }
+
+    return true;
+  }
+
+  /**
+   * Per-endpoint summaries of the current window, busiest first
+   * @returns {Array<Object>} { endpoint, count, p50, p90, p95, p99, max,
+   *   avgSize, errors, retries, statuses }
+   */
+  summarize() {
+    return Array.from(this.buckets.entries())
+      .map(([endpoint, bucket]) => {
+        const sorted = [...bucket.durations].sort((a, b) => a - b);
+        return {
+          endpoint,
+          count: bucket.count,
+          p50: percentile(sorted, 50),
+          p90: percentile(sorted, 90),
+          p95: percentile(sorted, 95),
+          p99: percentile(sorted, 99),
+          max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+          avgSize: bucket.sized > 0 ? Math.round(bucket.totalSize / bucket.sized) : null,
+          errors: bucket.errors,
+          retries: bucket.retries,
+          statuses: { ...bucket.statuses },
+        };
+      })
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Summarize the current window and start a new one
+   * @returns {Object} { windowStart, windowEnd, endpoints }
+   */
+  flush() {
+    const report = {
+      windowStart: this.windowStart,
+      windowEnd: Date.now(),
+      endpoints: this.summarize(),
+    };
+    this.buckets.clear();
+    this.windowStart = report.windowEnd;
+    return report;
+  }
+}
+
+export default ApiMetrics;
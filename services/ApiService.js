@@ -4,12 +4,144 @@
  * geographic sectors, and properties.
  */
 
+import {
+  CancelError,
+  NetworkError,
+  OfflineError,
+  RateLimitError,
+  ResponseSchemaError,
+  TimeoutError,
+  ValidationError,
+  createApiError,
+  isApiError,
+} from './ApiError';
+import appConfig from './config';
+import rateLimiter from './RateLimiter';
+import ResponseCache from './ResponseCache';
+import Paginator from './Paginator';
+import connectivityService from './ConnectivityService';
+import { resolveEndpoint } from './endpoints';
+import { validateSchema } from './schemas';
+import { createMockTransport } from './mock/mockTransport';
+import { xhrTransport } from './xhrTransport';
+import {
+  createAppHeadersInterceptor,
+  createRequestLogger,
+  createResponseLogger,
+  createErrorLogger,
+} from './interceptors';
+import { createLogger } from './Logger';
+
+const logger = createLogger('ApiService');
+
+// Methods that are safe to repeat without side effects
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Default transport; wrapped so fetch is never called with the service as `this`
+const fetchTransport = (url, init) => fetch(url, init);
+
+/**
+ * Generate a UUID v4 style idempotency key
+ * @returns {string} Idempotency key
+ */
+export const createIdempotencyKey = () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+  const random = Math.floor(Math.random() * 16);
+  const value = char === 'x' ? random : (random % 4) + 8;
+  return value.toString(16);
+});
+
+const isFormData = (body) => typeof FormData !== 'undefined' && body instanceof FormData;
+
+/**
+ * Encode a request body: FormData goes out as multipart, anything else as JSON
+ * @param {any} body - Request body
+ * @returns {string|FormData|undefined} Encoded body
+ */
+const encodeBody = (body) => {
+  if (!body) return undefined;
+  return isFormData(body) ? body : JSON.stringify(body);
+};
+
+/**
+ * Build multipart form data from plain fields
+ * Files are { uri, name, type } objects, which React Native streams from disk.
+ * @param {Object} fields - Field values keyed by name; arrays become repeated `name[]` fields
+ * @returns {FormData} Form data
+ */
+export const createFormData = (fields) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => formData.append(`${name}[]`, item));
+    } else {
+      formData.append(name, typeof value === 'object' && !value.uri ? JSON.stringify(value) : value);
+    }
+  });
+  return formData;
+};
+
+/**
+ * Reject with a CancelError as soon as the caller's signal aborts, leaving the
+ * underlying promise running (it may be shared with other callers)
+ * @param {Promise} promise - Underlying request
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @param {Object} request - Request info for the error
+ * @param {Function} [onCancel] - Called once if the caller cancels first
+ * @returns {Promise} Caller's view of the request
+ */
+const withSignal = (promise, signal, request, onCancel) => {
+  if (!signal) return promise;
+  if (signal.aborted) {
+    onCancel?.();
+    promise.catch(() => {});
+    return Promise.reject(new CancelError('Request canceled', { request }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      onCancel?.();
+      reject(new CancelError('Request canceled', { request }));
+    };
+    signal.addEventListener('abort', onAbort);
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
 class ApiService {
   constructor() {
     // Base URL - can be configured for different environments
-    this.baseURL = 'https://gu.mindware.com.mx/api/v1';
+    this.baseURL = appConfig.baseURL;
     this.token = null;
     this.isAuthenticated = false;
+    this.roleLevel = 1;
+    this.timeout = appConfig.timeout;
+    this.retryAttempts = appConfig.retryAttempts;
+    this.mockTransport = null;
+    // Identical GETs currently on the wire, keyed by URL, token and headers
+    this.inFlight = new Map();
+    this.responseCache = new ResponseCache({
+      maxEntries: appConfig.cache.maxEntries,
+      staleWhileRevalidate: appConfig.cache.staleWhileRevalidate,
+    });
+    this.setTransport(appConfig.transport);
+    this.transportWrappers = [];
+    this.schemaErrorListeners = new Set();
+    connectivityService.setApiProbe(() => this.probeApi());
+    this.interceptors = {
+      request: [],
+      response: [],
+      error: [],
+    };
+
+    this.addRequestInterceptor(createAppHeadersInterceptor());
+    this.addRequestInterceptor(createRequestLogger());
+    this.addResponseInterceptor(createResponseLogger());
+    this.addErrorInterceptor(createErrorLogger());
   }
 
   /**
@@ -17,9 +149,64 @@ class ApiService {
    * @param {string} url - The base URL
    */
   setBaseURL(url) {
+    if (url !== this.baseURL) {
+      this.responseCache.clear();
+    }
     this.baseURL = url;
   }
 
+  /**
+   * Set the transport used to send requests
+   * @param {string|Function} transport - 'http', 'mock' or a fetch-compatible function
+   */
+  setTransport(transport) {
+    if (typeof transport === 'function') {
+      this.transport = transport;
+      this.transportName = 'custom';
+    } else if (transport === 'mock') {
+      // Reuse one mock backend so its state survives switching back and forth
+      this.mockTransport = this.mockTransport || createMockTransport(appConfig.mock);
+      this.transport = this.mockTransport;
+      this.transportName = 'mock';
+    } else {
+      this.transport = fetchTransport;
+      this.transportName = 'http';
+    }
+  }
+
+  /**
+   * Wrap the transport used for every request attempt
+   * Wrappers see exactly what goes over the wire: the URL and init after the
+   * request interceptors, each retry separately, and the raw response. Used
+   * by development tools such as NetworkInspector.
+   * @param {Function} wrapper - (transport) => (url, init, request) => Promise<Response>,
+   *   where `request` is { url, endpoint, method, attempt }
+   * @returns {Function} Function that removes the wrapper
+   */
+  addTransportWrapper(wrapper) {
+    this.transportWrappers.push(wrapper);
+    return () => {
+      const index = this.transportWrappers.indexOf(wrapper);
+      if (index !== -1) this.transportWrappers.splice(index, 1);
+    };
+  }
+
+  /**
+   * Set the request timeout
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  setRequestTimeout(timeout) {
+    this.timeout = timeout;
+  }
+
+  /**
+   * Set how many times a retryable request is retried after the first attempt
+   * @param {number} retryAttempts - Number of retries
+   */
+  setRetryAttempts(retryAttempts) {
+    this.retryAttempts = retryAttempts;
+  }
+
   /**
    * Set the authentication token
    * @param {string} token - The Bearer token
@@ -35,6 +222,17 @@ class ApiService {
   clearToken() {
     this.token = null;
     this.isAuthenticated = false;
+    this.roleLevel = 1;
+    // Cached responses belong to the signed-out user
+    this.responseCache.clear();
+  }
+
+  /**
+   * Set the current user's highest role level (selects the rate limit tier)
+   * @param {number} level - Role level (1-4)
+   */
+  setRoleLevel(level) {
+    this.roleLevel = level || 1;
   }
 
   /**
@@ -55,74 +253,657 @@ class ApiService {
     return headers;
   }
 
+  // ============================================================================
+  // INTERCEPTORS
+  // ============================================================================
+
+  /**
+   * Subscribe to responses that don't match their endpoint schema
+   * Called whether or not the mismatch is thrown (see config.strictResponses).
+   * @param {Function} listener - Called with (ResponseSchemaError, requestInfo)
+   * @returns {Function} Unsubscribe function
+   */
+  addSchemaErrorListener(listener) {
+    this.schemaErrorListeners.add(listener);
+    return () => this.schemaErrorListeners.delete(listener);
+  }
+
+  /**
+   * Register an interceptor
+   * @param {string} type - 'request', 'response' or 'error'
+   * @param {Function} interceptor - Interceptor function (see interceptors.js for contracts)
+   * @returns {Function} Function that removes the interceptor
+   */
+  addInterceptor(type, interceptor) {
+    if (!this.interceptors[type]) {
+      throw new Error(`Unknown interceptor type: ${type}`);
+    }
+
+    this.interceptors[type].push(interceptor);
+    return () => this.removeInterceptor(type, interceptor);
+  }
+
+  /**
+   * Remove a previously registered interceptor
+   * @param {string} type - 'request', 'response' or 'error'
+   * @param {Function} interceptor - Interceptor function
+   * @returns {boolean} Whether the interceptor was registered
+   */
+  removeInterceptor(type, interceptor) {
+    const list = this.interceptors[type] || [];
+    const index = list.indexOf(interceptor);
+    if (index === -1) return false;
+
+    list.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Add a request interceptor
+   * @param {Function} interceptor - (request) => request
+   * @returns {Function} Function that removes the interceptor
+   */
+  addRequestInterceptor(interceptor) {
+    return this.addInterceptor('request', interceptor);
+  }
+
+  /**
+   * Add a response interceptor
+   * @param {Function} interceptor - (response, request) => response
+   * @returns {Function} Function that removes the interceptor
+   */
+  addResponseInterceptor(interceptor) {
+    return this.addInterceptor('response', interceptor);
+  }
+
+  /**
+   * Add an error interceptor
+   * @param {Function} interceptor - (error, request) => any
+   * @returns {Function} Function that removes the interceptor
+   */
+  addErrorInterceptor(interceptor) {
+    return this.addInterceptor('error', interceptor);
+  }
+
+  /**
+   * Run the request interceptors in order
+   * @param {Object} request - Outgoing request
+   * @returns {Promise<Object>} Final request
+   */
+  async runRequestInterceptors(request) {
+    let current = request;
+    for (const interceptor of [...this.interceptors.request]) {
+      current = (await interceptor(current)) || current;
+    }
+    return current;
+  }
+
+  /**
+   * Run the response interceptors in order
+   * @param {Object} response - Received response
+   * @param {Object} request - Request that produced it
+   * @returns {Promise<Object>} Final response
+   */
+  async runResponseInterceptors(response, request) {
+    let current = response;
+    for (const interceptor of [...this.interceptors.response]) {
+      current = (await interceptor(current, request)) || current;
+    }
+    return current;
+  }
+
+  /**
+   * Run the error interceptors in order until one recovers
+   * @param {Error} error - Final request error
+   * @param {Object} request - Failed request
+   * @returns {Promise<any>} Recovered response data
+   * @throws {Error} The (possibly replaced) error when nothing recovers
+   */
+  async runErrorInterceptors(error, request) {
+    let current = error;
+    for (const interceptor of [...this.interceptors.error]) {
+      let result;
+      try {
+        result = await interceptor(current, request);
+      } catch (interceptorError) {
+        result = interceptorError;
+      }
+
+      if (result instanceof Error) {
+        current = result;
+      } else if (result !== undefined) {
+        return result;
+      }
+    }
+    throw current;
+  }
+
+  // ============================================================================
+  // REQUEST PIPELINE
+  // ============================================================================
+
   /**
    * Make an API request
+   * Runs the interceptor chain around the HTTP call. Every attempt first waits
+   * for budget in its config.rateLimits tier. GET/HEAD/OPTIONS requests are
+   * retried with jittered exponential backoff on network errors, timeouts,
+   * 429 and 5xx responses. Other methods are only retried when the caller
+   * passes `retryable: true`. Error interceptors see the final error once
+   * retries are exhausted. While the device is offline requests fail at once
+   * with an OfflineError.
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Request options
+   * @param {number} [options.timeout] - Per-attempt timeout in milliseconds
+   * @param {boolean} [options.retryable] - Force retries on or off
+   * @param {number} [options.retryAttempts] - Override the configured retry count
+   * @param {Function} [options.onAttempt] - Called after every attempt with
+   *   { attempt, maxAttempts, status, error, willRetry, delay }
+   * @param {boolean} [options.skipAuthRefresh] - Don't refresh the token on 401
+   * @param {AbortSignal} [options.signal] - Cancels the request with a CancelError
+   * @param {boolean} [options.dedupe] - Share identical in-flight GETs (default true)
+   * @param {Function} [options.onUploadProgress] - Called with { loaded, total, progress }
+   *   while a FormData body is sent
    * @returns {Promise} API response
    */
   async request(endpoint, options = {}) {
-    const url = `${this.baseURL}${endpoint}`;
-    const config = {
-      method: 'GET',
-      headers: this.getHeaders(options.requireAuth !== false),
-      ...options,
-    };
+    const method = (options.method || 'GET').toUpperCase();
+
+    if (method === 'GET' && options.dedupe !== false) {
+      return this.requestShared(endpoint, options);
+    }
+    return this.executeRequest(endpoint, options);
+  }
+
+  /**
+   * Coalesce identical concurrent GETs into one network call
+   * Every caller keeps its own AbortSignal: canceling rejects only that caller,
+   * and the shared call is aborted once all of its callers have canceled.
+   * Per-call callbacks such as onAttempt only fire for the first caller.
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Request options
+   * @returns {Promise} API response
+   */
+  requestShared(endpoint, options) {
+    const { signal, ...sharedOptions } = options;
+    const requestInfo = { url: `${this.baseURL}${endpoint}`, endpoint, method: 'GET' };
+
+    if (signal?.aborted) {
+      return Promise.reject(new CancelError('Request canceled', { request: requestInfo }));
+    }
 
-    if (options.body) {
-      config.body = JSON.stringify(options.body);
+    const key = JSON.stringify([
+      this.baseURL,
+      endpoint,
+      sharedOptions.requireAuth !== false ? this.token : null,
+      sharedOptions.headers || null,
+      !!sharedOptions.includeResponse,
+    ]);
+
+    let flight = this.inFlight.get(key);
+    if (flight) {
+      logger.debug('🔗 Joined in-flight request', { endpoint });
+    } else {
+      const controller = new AbortController();
+      flight = { controller, callers: 0 };
+      flight.promise = this.executeRequest(endpoint, { ...sharedOptions, signal: controller.signal })
+        .finally(() => {
+          if (this.inFlight.get(key) === flight) {
+            this.inFlight.delete(key);
+          }
+        });
+      this.inFlight.set(key, flight);
     }
 
-    // Debug logging
-    console.log('🔗 API Request:', {
-      url,
-      method: config.method,
-      headers: config.headers,
-      body: options.body ? JSON.stringify(options.body, null, 2) : 'No body',
-      requireAuth: options.requireAuth !== false,
-      hasToken: !!this.token,
+    flight.callers += 1;
+
+    return withSignal(flight.promise, signal, requestInfo, () => {
+      flight.callers -= 1;
+      if (flight.callers === 0) {
+        flight.controller.abort();
+        if (this.inFlight.get(key) === flight) {
+          this.inFlight.delete(key);
+        }
+      }
     });
+  }
 
+  /**
+   * Run a request through retries and the error interceptors
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Request options
+   * @returns {Promise} API response
+   */
+  async executeRequest(endpoint, options) {
     try {
-      const response = await fetch(url, config);
-      const data = await response.json();
-
-      // Debug logging for response
-      console.log('📡 API Response:', {
-        url,
-        status: response.status,
-        statusText: response.statusText,
-        headers: Object.fromEntries(response.headers.entries()),
-        data: JSON.stringify(data, null, 2),
+      // Fail fast instead of waiting out timeouts and retries
+      if (connectivityService.isOffline()) {
+        throw new OfflineError('Device is offline', {
+          request: {
+            url: `${this.baseURL}${endpoint}`,
+            endpoint,
+            method: (options.method || 'GET').toUpperCase(),
+          },
+        });
+      }
+      return await this.requestWithRetry(endpoint, options);
+    } catch (error) {
+      const method = (options.method || 'GET').toUpperCase();
+      return this.runErrorInterceptors(error, {
+        url: `${this.baseURL}${endpoint}`,
+        endpoint,
+        method,
+        options,
       });
+    }
+  }
+
+  /**
+   * Run attempts until one succeeds or retries are exhausted
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Request options
+   * @returns {Promise} API response
+   */
+  async requestWithRetry(endpoint, options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const maxRetries = this.isRetryableRequest(method, options)
+      ? (options.retryAttempts ?? this.retryAttempts)
+      : 0;
+    const maxAttempts = maxRetries + 1;
+    const tier = rateLimiter.getTier(options.requireAuth !== false, this.roleLevel);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        // Over-budget requests wait here instead of failing; canceling one
+        // drops it from the queue
+        const requestInfo = { url: `${this.baseURL}${endpoint}`, endpoint, method, attempt };
+        await rateLimiter.acquire(tier, { signal: options.signal, request: requestInfo });
+        if (options.signal?.aborted) {
+          throw new CancelError('Request canceled', { request: requestInfo });
+        }
+        const data = await this.performRequest(endpoint, options, attempt);
+        this.notifyAttempt(options, { attempt, maxAttempts, status: 'success', error: null, willRetry: false, delay: 0 });
+        return data;
+      } catch (error) {
+        error.attempts = attempt;
+        if (error instanceof RateLimitError) {
+          rateLimiter.pause(tier, error.retryAfter);
+        }
 
-      if (!response.ok) {
-        console.error('❌ API Error:', {
-          url,
-          status: response.status,
-          statusText: response.statusText,
-          error: data.message || `HTTP ${response.status}`,
+        const willRetry = attempt < maxAttempts && error.isRetryable === true;
+        const delay = willRetry ? this.getRetryDelay(attempt, error) : 0;
+
+        this.notifyAttempt(options, { attempt, maxAttempts, status: 'error', error, willRetry, delay });
+
+        if (!willRetry) {
+          throw error;
+        }
+
+        logger.warn('🔁 API Retry', {
+          endpoint,
+          method,
+          attempt,
+          maxAttempts,
+          delay,
+          reason: error.name,
         });
-        throw new Error(data.message || `HTTP ${response.status}`);
+        await sleep(delay);
       }
+    }
+  }
 
-      console.log('✅ API Success:', {
-        url,
-        status: response.status,
-        data: JSON.stringify(data, null, 2),
-      });
+  /**
+   * Whether a request may be retried
+   * @param {string} method - HTTP method
+   * @param {Object} options - Request options
+   * @returns {boolean} Retry eligibility
+   */
+  isRetryableRequest(method, options) {
+    if (typeof options.retryable === 'boolean') {
+      return options.retryable;
+    }
+    return IDEMPOTENT_METHODS.includes(method);
+  }
+
+  /**
+   * Compute the delay before the next attempt
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Error} error - Failure of that attempt
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt, error) {
+    const { baseDelay, maxDelay } = appConfig.retry;
+
+    // Respect the server's Retry-After when it gave us one
+    if (error.retryAfter != null) {
+      return Math.min(error.retryAfter, maxDelay);
+    }
+
+    // Equal jitter: half fixed, half random, so clients don't retry in lockstep
+    const exponential = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  /**
+   * Report an attempt to the caller's onAttempt callback
+   * @param {Object} options - Request options
+   * @param {Object} info - Attempt information
+   */
+  notifyAttempt(options, info) {
+    if (typeof options.onAttempt !== 'function') return;
 
-      return data;
+    try {
+      options.onAttempt(info);
+    } catch (callbackError) {
+      logger.warn('onAttempt callback error', callbackError);
+    }
+  }
+
+  /**
+   * Perform a single HTTP attempt with timeout
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Request options
+   * @param {number} attempt - Attempt number (1-based)
+   * @returns {Promise} API response
+   */
+  async performRequest(endpoint, options, attempt) {
+    const headers = {
+      ...this.getHeaders(options.requireAuth !== false),
+      ...options.headers,
+    };
+    // The transport sets the multipart boundary itself
+    if (isFormData(options.body)) {
+      delete headers['Content-Type'];
+    }
+
+    const request = await this.runRequestInterceptors({
+      url: `${this.baseURL}${endpoint}`,
+      endpoint,
+      method: (options.method || 'GET').toUpperCase(),
+      headers,
+      body: options.body,
+      timeout: options.timeout ?? this.timeout,
+      attempt,
+      options,
+    });
+
+    const { url, timeout } = request;
+    const requestInfo = { url, endpoint, method: request.method, attempt };
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+
+    // The caller's signal aborts the same controller as the timeout
+    const callerSignal = options.signal;
+    const onCallerAbort = () => controller.abort();
+    callerSignal?.addEventListener('abort', onCallerAbort);
+    const canceled = () => callerSignal?.aborted === true && !timedOut;
+
+    const config = {
+      ...options,
+      method: request.method,
+      headers: request.headers,
+      body: encodeBody(request.body),
+      signal: controller.signal,
+    };
+
+    // fetch can't report upload progress
+    const baseTransport = options.onUploadProgress && this.transportName === 'http'
+      ? xhrTransport
+      : this.transport;
+    const transport = this.transportWrappers.reduce((next, wrap) => wrap(next), baseTransport);
+
+    try {
+      const startedAt = Date.now();
+      let fetchResponse;
+      try {
+        fetchResponse = await transport(url, config, requestInfo);
+        // Any HTTP answer, even an error status, means the host is up
+        connectivityService.reportApiReachable(true);
+      } catch (fetchError) {
+        if (canceled()) {
+          throw new CancelError('Request canceled', { request: requestInfo, cause: fetchError });
+        }
+        connectivityService.reportApiReachable(false);
+        if (timedOut) {
+          throw new TimeoutError(`Request timed out after ${timeout}ms`, {
+            request: requestInfo,
+            timeout,
+            cause: fetchError,
+          });
+        }
+        throw new NetworkError(fetchError.message || 'Network request failed', {
+          request: requestInfo,
+          cause: fetchError,
+        });
+      }
+
+      const text = await fetchResponse.text();
+      const response = await this.runResponseInterceptors({
+        ok: fetchResponse.ok,
+        status: fetchResponse.status,
+        statusText: fetchResponse.statusText,
+        headers: fetchResponse.headers,
+        data: this.parseResponseBody(text),
+        size: text.length,
+        duration: Date.now() - startedAt,
+      }, request);
+
+      // 304 answers a conditional request from the response cache
+      if (!response.ok && response.status !== 304) {
+        throw createApiError(response, response.data, requestInfo);
+      }
+
+      if (options.schema && response.status !== 304 && appConfig.validateResponses) {
+        this.checkResponse(response.data, options.schema, requestInfo);
+      }
+
+      return options.includeResponse ? response : response.data;
+    } catch (error) {
+      if (isApiError(error)) {
+        throw error;
+      }
+
+      if (canceled()) {
+        throw new CancelError('Request canceled', { request: requestInfo, cause: error });
+      }
+
+      // e.g. the connection dropping while the body was being read
+      if (timedOut) {
+        throw new TimeoutError(`Request timed out after ${timeout}ms`, {
+          request: requestInfo,
+          timeout,
+          cause: error,
+        });
+      }
+      throw new NetworkError(error.message, { request: requestInfo, cause: error });
+    } finally {
+      clearTimeout(timer);
+      callerSignal?.removeEventListener('abort', onCallerAbort);
+    }
+  }
+
+  /**
+   * Check whether the API host answers at all
+   * Used by ConnectivityService while the host looks unreachable. Bypasses
+   * interceptors, retries and the rate limiter; any HTTP status counts.
+   * @returns {Promise<boolean>} True if the host responded
+   */
+  async probeApi() {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), appConfig.connectivity.apiProbeTimeout);
+
+    try {
+      await this.transport(this.baseURL, { method: 'HEAD', signal: controller.signal });
+      return true;
     } catch (error) {
-      console.error('💥 API Request Error:', {
-        url,
-        error: error.message,
-        stack: error.stack,
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Check a response body against its endpoint schema
+   * @param {any} data - Parsed response body
+   * @param {Object} schema - Response schema (see schemas.js)
+   * @param {Object} requestInfo - Request metadata for the error
+   * @throws {ResponseSchemaError} When the body doesn't match
+   */
+  validateResponse(data, schema, requestInfo) {
+    const issues = validateSchema(schema, data);
+    if (issues.length === 0) return;
+
+    const summary = issues
+      .slice(0, 3)
+      .map(issue => `${issue.path}: expected ${issue.expected}, got ${issue.received}`)
+      .join('; ');
+
+    throw new ResponseSchemaError(
+      `Unexpected response from ${requestInfo.method} ${requestInfo.endpoint} (${summary})`,
+      { data, request: requestInfo, issues }
+    );
+  }
+
+  /**
+   * Validate a response and handle a mismatch
+   * Development builds throw the ResponseSchemaError; release builds log it
+   * and keep the data so backend drift doesn't break working flows.
+   * Listeners hear about it either way.
+   * @param {any} data - Parsed response body
+   * @param {Object} schema - Response schema (see schemas.js)
+   * @param {Object} requestInfo - Request metadata for the error
+   * @throws {ResponseSchemaError} When the body doesn't match in strict mode
+   */
+  checkResponse(data, schema, requestInfo) {
+    try {
+      this.validateResponse(data, schema, requestInfo);
+    } catch (schemaError) {
+      this.schemaErrorListeners.forEach(listener => {
+        try {
+          listener(schemaError, requestInfo);
+        } catch (error) {
+          logger.warn('Schema error listener failed', error);
+        }
+      });
+
+      if (appConfig.strictResponses) throw schemaError;
+      logger.warn('⚠️ Response does not match its schema', {
+        endpoint: `${requestInfo.method} ${requestInfo.endpoint}`,
+        issues: schemaError.issues.slice(0, 5),
       });
-      throw error;
     }
   }
 
+  /**
+   * Parse a response body, tolerating empty and non-JSON payloads
+   * @param {string} text - Response body
+   * @returns {any} Parsed body or null
+   */
+  parseResponseBody(text) {
+    if (!text) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch (parseError) {
+      return { message: text };
+    }
+  }
+
+  /**
+   * Call a registered endpoint (see endpoints.js)
+   * @param {string} name - Endpoint name
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.params] - Path parameter values
+   * @param {Object} [options.query] - Query parameters
+   * @param {string} [options.cache] - 'default', 'reload' (revalidate now) or
+   *   'no-store' (bypass the response cache)
+   * @returns {Promise} API response
+   */
+  async callEndpoint(name, { params, query, cache = 'default', ...options } = {}) {
+    const { endpoint, path } = resolveEndpoint(name, { params, query });
+    const requestOptions = {
+      method: endpoint.method,
+      requireAuth: endpoint.requireAuth,
+      ...(typeof endpoint.retryable === 'boolean' ? { retryable: endpoint.retryable } : {}),
+      schema: endpoint.schema,
+      ...options,
+    };
+
+    const ttl = appConfig.cache.ttl[name];
+    if (endpoint.method === 'GET' && ttl !== undefined && cache !== 'no-store') {
+      // Cache fills are shared between callers, so a caller canceling only
+      // stops waiting; the response still lands in the cache
+      const { signal, ...fillOptions } = requestOptions;
+      const key = this.getCacheKey(name, { params, query });
+
+      // Offline, a copy of any age beats an error
+      if (cache !== 'reload' && connectivityService.isOffline()) {
+        const stored = this.responseCache.peek(key);
+        if (stored !== undefined) {
+          logger.debug('📴 Offline, serving cached response', { key });
+          return stored;
+        }
+      }
+
+      const fetcher = (validators) => this.request(path, {
+        ...fillOptions,
+        headers: { ...fillOptions.headers, ...validators },
+        includeResponse: true,
+      });
+
+      const cached = cache === 'reload'
+        ? this.responseCache.revalidate(key, { ttl }, fetcher)
+        : this.responseCache.fetch(key, { ttl }, fetcher);
+      return withSignal(cached, signal, { url: `${this.baseURL}${path}`, endpoint: path, method: 'GET' });
+    }
+
+    const response = await this.request(path, requestOptions);
+
+    if (endpoint.invalidates) {
+      this.invalidateCache(endpoint.invalidates);
+    }
+
+    return response;
+  }
+
+  /**
+   * Response cache key of an endpoint call
+   * @param {string} name - Endpoint name
+   * @param {Object} [options] - { params, query } as passed to callEndpoint
+   * @returns {string} Cache key
+   */
+  getCacheKey(name, { params, query } = {}) {
+    const { path } = resolveEndpoint(name, { params, query });
+    return `${name}:${path}`;
+  }
+
+  /**
+   * Cached response of an endpoint call, without touching the network
+   * @param {string} name - Endpoint name
+   * @param {Object} [options] - { params, query } as passed to callEndpoint
+   * @returns {any} Cached response or undefined
+   */
+  peekCache(name, options = {}) {
+    return this.responseCache.peek(this.getCacheKey(name, options));
+  }
+
+  /**
+   * Drop cached responses, e.g. after a mutation changed the data behind them
+   * @param {string|Array<string>} [names] - Endpoint names; omit to drop everything
+   */
+  invalidateCache(names) {
+    if (names === undefined) {
+      this.responseCache.clear();
+      return;
+    }
+
+    const list = Array.isArray(names) ? names : [names];
+    this.responseCache.invalidate(list.map(name => `${name}:`));
+  }
+
   // ============================================================================
   // AUTHENTICATION ENDPOINTS
   // ============================================================================
@@ -133,11 +914,7 @@ class ApiService {
    * @returns {Promise} Registration response
    */
   async register(userData) {
-    return this.request('/register', {
-      method: 'POST',
-      body: userData,
-      requireAuth: false,
-    });
+    return this.callEndpoint('register', { body: userData });
   }
 
   /**
@@ -146,11 +923,7 @@ class ApiService {
    * @returns {Promise} Login response
    */
   async login(credentials) {
-    const response = await this.request('/login', {
-      method: 'POST',
-      body: credentials,
-      requireAuth: false,
-    });
+    const response = await this.callEndpoint('login', { body: credentials });
 
     if (response.success && response.data.token) {
       this.setToken(response.data.token);
@@ -164,9 +937,7 @@ class ApiService {
    * @returns {Promise} Logout response
    */
   async logout() {
-    const response = await this.request('/logout', {
-      method: 'POST',
-    });
+    const response = await this.callEndpoint('logout', { skipAuthRefresh: true });
 
     if (response.success) {
       this.clearToken();
@@ -181,11 +952,7 @@ class ApiService {
    * @returns {Promise} Password reset response
    */
   async forgotPassword(email) {
-    return this.request('/forgot-password', {
-      method: 'POST',
-      body: { email },
-      requireAuth: false,
-    });
+    return this.callEndpoint('forgotPassword', { body: { email } });
   }
 
   /**
@@ -194,11 +961,7 @@ class ApiService {
    * @returns {Promise} Password reset response
    */
   async resetPassword(resetData) {
-    return this.request('/reset-password', {
-      method: 'POST',
-      body: resetData,
-      requireAuth: false,
-    });
+    return this.callEndpoint('resetPassword', { body: resetData });
   }
 
   /**
@@ -208,20 +971,20 @@ class ApiService {
    * @returns {Promise} Token verification response
    */
   async verifyResetToken(email, token) {
-    return this.request('/verify-reset-token', {
-      method: 'POST',
-      body: { email, token },
-      requireAuth: false,
-    });
+    return this.callEndpoint('verifyResetToken', { body: { email, token } });
   }
 
   /**
    * Refresh access token
+   * The server rotates the pair, so the refresh token sent here can't be reused.
+   * @param {string|null} [refreshToken] - Refresh token from login; without one
+   *   the current (possibly expired) bearer token is refreshed
    * @returns {Promise} Token refresh response
    */
-  async refreshToken() {
-    const response = await this.request('/refresh', {
-      method: 'POST',
+  async refreshToken(refreshToken = null) {
+    const response = await this.callEndpoint('refresh', {
+      skipAuthRefresh: true,
+      ...(refreshToken ? { body: { refresh_token: refreshToken } } : {}),
     });
 
     if (response.success && response.data.token) {
@@ -240,7 +1003,7 @@ class ApiService {
    * @returns {Promise} User profile response
    */
   async getUserProfile() {
-    return this.request('/user');
+    return this.callEndpoint('getUserProfile');
   }
 
   /**
@@ -249,10 +1012,7 @@ class ApiService {
    * @returns {Promise} Profile update response
    */
   async updateUserProfile(profileData) {
-    return this.request('/user', {
-      method: 'PUT',
-      body: profileData,
-    });
+    return this.callEndpoint('updateUserProfile', { body: profileData });
   }
 
   /**
@@ -260,7 +1020,7 @@ class ApiService {
    * @returns {Promise} User roles response
    */
   async getUserRoles() {
-    return this.request('/user/roles');
+    return this.callEndpoint('getUserRoles');
   }
 
   /**
@@ -268,7 +1028,7 @@ class ApiService {
    * @returns {Promise} User permissions response
    */
   async getUserPermissions() {
-    return this.request('/user/permissions');
+    return this.callEndpoint('getUserPermissions');
   }
 
   /**
@@ -277,12 +1037,82 @@ class ApiService {
    * @returns {Promise} Password change response
    */
   async changePassword(passwordData) {
-    return this.request('/change-password', {
-      method: 'POST',
-      body: passwordData,
+    return this.callEndpoint('changePassword', { body: passwordData });
+  }
+
+  // ============================================================================
+  // SESSION MANAGEMENT ENDPOINTS
+  // ============================================================================
+
+  /**
+   * List the user's device sessions (one per login)
+   * @returns {Promise} Sessions response; the requesting one has `is_current`
+   */
+  async listSessions() {
+    return this.callEndpoint('listSessions');
+  }
+
+  /**
+   * Revoke a device session and its tokens
+   * @param {number} sessionId - Session ID
+   * @returns {Promise} Response with the revoked session
+   */
+  async revokeSession(sessionId) {
+    return this.callEndpoint('revokeSession', { params: { sessionId } });
+  }
+
+  /**
+   * Revoke every session except the current one
+   * @returns {Promise} Revocation response
+   */
+  async revokeOtherSessions() {
+    return this.callEndpoint('revokeOtherSessions');
+  }
+
+  // ============================================================================
+  // UPLOAD ENDPOINTS
+  // ============================================================================
+
+  /**
+   * Send files as multipart form data
+   * Uploads are retried like GETs: every attempt carries the same
+   * Idempotency-Key, so a retry after a lost response doesn't store the file
+   * twice.
+   * @param {string} name - Endpoint name
+   * @param {Object} fields - Form fields; files are { uri, name, type }
+   * @param {Object} [options] - Request options (params, signal, onUploadProgress, ...)
+   * @returns {Promise} API response
+   */
+  async upload(name, fields, options = {}) {
+    return this.callEndpoint(name, {
+      timeout: appConfig.uploads.timeout,
+      ...options,
+      headers: { 'Idempotency-Key': createIdempotencyKey(), ...options.headers },
+      body: createFormData(fields),
     });
   }
 
+  /**
+   * Replace the user's avatar
+   * @param {Object} file - Image file { uri, name, type }
+   * @param {Object} [options] - Request options (signal, onUploadProgress, ...)
+   * @returns {Promise} Response with the updated user
+   */
+  async uploadAvatar(file, options = {}) {
+    return this.upload('uploadAvatar', { avatar: file }, options);
+  }
+
+  /**
+   * Add a photo to a property
+   * @param {number} propertyId - Property ID
+   * @param {Object} file - Image file { uri, name, type }
+   * @param {Object} [options] - Request options (signal, onUploadProgress, ...)
+   * @returns {Promise} Response with the stored photo
+   */
+  async uploadPropertyPhoto(propertyId, file, options = {}) {
+    return this.upload('uploadPropertyPhoto', { photo: file }, { params: { propertyId }, ...options });
+  }
+
   // ============================================================================
   // GEOGRAPHIC DATA ENDPOINTS
   // ============================================================================
@@ -290,51 +1120,73 @@ class ApiService {
   /**
    * List sectors
    * @param {Object} params - Query parameters
+   * @param {Object} [options] - Request options (signal, cache, ...)
    * @returns {Promise} Sectors response
    */
-  async listSectors(params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    const endpoint = queryString ? `/sectors?${queryString}` : '/sectors';
-    return this.request(endpoint);
+  async listSectors(params = {}, options = {}) {
+    return this.callEndpoint('listSectors', { query: params, ...options });
   }
 
   /**
    * Get sector details
    * @param {number} sectorId - Sector ID
    * @param {Object} params - Query parameters
+   * @param {Object} [options] - Request options (signal, cache, ...)
    * @returns {Promise} Sector response
    */
-  async getSector(sectorId, params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    const endpoint = queryString 
-      ? `/sectors/${sectorId}?${queryString}` 
-      : `/sectors/${sectorId}`;
-    return this.request(endpoint);
+  async getSector(sectorId, params = {}, options = {}) {
+    return this.callEndpoint('getSector', { params: { sectorId }, query: params, ...options });
   }
 
   /**
    * List properties
    * @param {Object} params - Query parameters
+   * @param {Object} [options] - Request options (signal, cache, ...)
    * @returns {Promise} Properties response
    */
-  async listProperties(params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    const endpoint = queryString ? `/properties?${queryString}` : '/properties';
-    return this.request(endpoint);
+  async listProperties(params = {}, options = {}) {
+    return this.callEndpoint('listProperties', { query: params, ...options });
   }
 
   /**
    * Get property details
    * @param {number} propertyId - Property ID
    * @param {Object} params - Query parameters
+   * @param {Object} [options] - Request options (signal, cache, ...)
    * @returns {Promise} Property response
    */
-  async getProperty(propertyId, params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    const endpoint = queryString 
-      ? `/properties/${propertyId}?${queryString}` 
-      : `/properties/${propertyId}`;
-    return this.request(endpoint);
+  async getProperty(propertyId, params = {}, options = {}) {
+    return this.callEndpoint('getProperty', { params: { propertyId }, query: params, ...options });
+  }
+
+  /**
+   * Page through sectors
+   * @param {Object} params - Filters (active, search, include, ...)
+   * @param {Object} [options] - { perPage }
+   * @returns {Paginator} Sector paginator
+   */
+  paginateSectors(params = {}, { perPage } = {}) {
+    return new Paginator({
+      fetchPage: (query, options) => this.callEndpoint('listSectors', { query, ...options }),
+      dataKey: 'sectors',
+      query: params,
+      perPage,
+    });
+  }
+
+  /**
+   * Page through properties
+   * @param {Object} params - Filters (sector_id, owner_id, status, search, include, ...)
+   * @param {Object} [options] - { perPage }
+   * @returns {Paginator} Property paginator
+   */
+  paginateProperties(params = {}, { perPage } = {}) {
+    return new Paginator({
+      fetchPage: (query, options) => this.callEndpoint('listProperties', { query, ...options }),
+      dataKey: 'properties',
+      query: params,
+      perPage,
+    });
   }
 
   // ============================================================================
@@ -355,63 +1207,90 @@ class ApiService {
    * @returns {Promise} Analytics event registration response
    */
   async registerAnalyticsEvent(eventData) {
-    console.log('📊 Analytics Event Registration:', {
-      eventData: JSON.stringify(eventData, null, 2),
+    logger.debug('📊 Analytics Event Registration', {
+      eventData,
       timestamp: new Date().toISOString(),
     });
 
+    this.validateAnalyticsEvent(eventData);
+
+    // Analytics endpoints require authentication
+    return this.callEndpoint('registerAnalyticsEvent', { body: eventData });
+  }
+
+  /**
+   * Validate an analytics event before it is sent or queued
+   * @param {Object} eventData - Event data (see registerAnalyticsEvent)
+   * @throws {ValidationError} When a field is missing or out of range
+   */
+  validateAnalyticsEvent(eventData) {
     const requiredFields = ['device_uuid', 'event_keyword'];
     
     // Validate required fields
     for (const field of requiredFields) {
       if (!eventData[field]) {
-        console.error('❌ Analytics Validation Error:', {
+        logger.error('❌ Analytics Validation Error', {
           missingField: field,
-          eventData: JSON.stringify(eventData, null, 2),
+          eventData,
+        });
+        throw new ValidationError(`Missing required field: ${field}`, {
+          status: null,
+          fieldErrors: { [field]: [`Missing required field: ${field}`] },
         });
-        throw new Error(`Missing required field: ${field}`);
       }
     }
 
     // Validate field lengths
     if (eventData.device_uuid.length > 255) {
-      console.error('❌ Analytics Validation Error:', {
+      logger.error('❌ Analytics Validation Error', {
         field: 'device_uuid',
         length: eventData.device_uuid.length,
         maxLength: 255,
       });
-      throw new Error('device_uuid exceeds maximum length of 255 characters');
+      throw new ValidationError('device_uuid exceeds maximum length of 255 characters', {
+        status: null,
+        fieldErrors: { device_uuid: ['device_uuid exceeds maximum length of 255 characters'] },
+      });
     }
     if (eventData.event_keyword.length > 255) {
-      console.error('❌ Analytics Validation Error:', {
+      logger.error('❌ Analytics Validation Error', {
         field: 'event_keyword',
         length: eventData.event_keyword.length,
         maxLength: 255,
       });
-      throw new Error('event_keyword exceeds maximum length of 255 characters');
+      throw new ValidationError('event_keyword exceeds maximum length of 255 characters', {
+        status: null,
+        fieldErrors: { event_keyword: ['event_keyword exceeds maximum length of 255 characters'] },
+      });
     }
 
     // Validate latitude and longitude if provided
     if (eventData.latitude !== undefined) {
       if (typeof eventData.latitude !== 'number' || eventData.latitude < -90 || eventData.latitude > 90) {
-        console.error('❌ Analytics Validation Error:', {
+        logger.error('❌ Analytics Validation Error', {
           field: 'latitude',
           value: eventData.latitude,
           type: typeof eventData.latitude,
           validRange: '[-90, 90]',
         });
-        throw new Error('latitude must be a number between -90 and 90');
+        throw new ValidationError('latitude must be a number between -90 and 90', {
+          status: null,
+          fieldErrors: { latitude: ['latitude must be a number between -90 and 90'] },
+        });
       }
     }
     if (eventData.longitude !== undefined) {
       if (typeof eventData.longitude !== 'number' || eventData.longitude < -180 || eventData.longitude > 180) {
-        console.error('❌ Analytics Validation Error:', {
+        logger.error('❌ Analytics Validation Error', {
           field: 'longitude',
           value: eventData.longitude,
           type: typeof eventData.longitude,
           validRange: '[-180, 180]',
         });
-        throw new Error('longitude must be a number between -180 and 180');
+        throw new ValidationError('longitude must be a number between -180 and 180', {
+          status: null,
+          fieldErrors: { longitude: ['longitude must be a number between -180 and 180'] },
+        });
       }
     }
 
@@ -419,27 +1298,24 @@ class ApiService {
     if (eventData.location_accuracy !== undefined) {
       const validAccuracies = ['high', 'medium', 'low'];
       if (!validAccuracies.includes(eventData.location_accuracy)) {
-        console.error('❌ Analytics Validation Error:', {
+        logger.error('❌ Analytics Validation Error', {
           field: 'location_accuracy',
           value: eventData.location_accuracy,
           validValues: validAccuracies,
         });
-        throw new Error('location_accuracy must be one of: high, medium, low');
+        throw new ValidationError('location_accuracy must be one of: high, medium, low', {
+          status: null,
+          fieldErrors: { location_accuracy: ['location_accuracy must be one of: high, medium, low'] },
+        });
       }
     }
 
-    console.log('✅ Analytics Event Validation Passed:', {
+    logger.debug('✅ Analytics Event Validation Passed', {
       eventKeyword: eventData.event_keyword,
       deviceUUID: eventData.device_uuid,
       hasLocation: !!(eventData.latitude && eventData.longitude),
       timestamp: new Date().toISOString(),
     });
-
-    return this.request('/analytics/register-event', {
-      method: 'POST',
-      body: eventData,
-      requireAuth: true, // Analytics endpoints require authentication
-    });
   }
 
   // ============================================================================
@@ -472,6 +1348,10 @@ class ApiService {
       success: false,
       message: error.message || 'An unexpected error occurred',
       error: error.toString(),
+      type: error.name,
+      status: error.status ?? null,
+      code: error.code ?? null,
+      errors: error.fieldErrors || {},
     };
   }
 
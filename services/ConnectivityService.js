@@ -0,0 +1,199 @@
+/**
+ * Connectivity Service
+ * Tracks two things separately: whether the device is on a network (from
+ * NetInfo) and whether the GU API host answers (from the outcome of API
+ * requests, plus a light probe while the host looks down). ApiService fails
+ * fast while the device is offline, and the offline queue replays as soon as
+ * it comes back.
+ */
+
+import NetInfo from '@react-native-community/netinfo';
+import config from './config';
+import { createLogger } from './Logger';
+
+const logger = createLogger('ConnectivityService');
+
+class ConnectivityService {
+  constructor() {
+    // null means not known yet; requests are let through until NetInfo reports
+    this.state = {
+      isConnected: null,
+      isInternetReachable: null,
+      type: 'unknown',
+      isApiReachable: null,
+    };
+    this.listeners = new Set();
+    this.netInfoSubscription = null;
+    this.apiProbe = null;
+    this.probePromise = null;
+    this.probeTimer = null;
+  }
+
+  /**
+   * Start listening to NetInfo; safe to call more than once
+   */
+  initialize() {
+    if (this.netInfoSubscription) return;
+    this.netInfoSubscription = NetInfo.addEventListener(state => this.handleNetInfoChange(state));
+  }
+
+  /**
+   * Stop listening and drop any scheduled probe
+   */
+  stop() {
+    this.netInfoSubscription?.();
+    this.netInfoSubscription = null;
+    this.clearProbeTimer();
+  }
+
+  /**
+   * Apply a NetInfo update
+   * @param {Object} state - NetInfo state
+   */
+  handleNetInfoChange({ type, isConnected, isInternetReachable }) {
+    const wasOffline = this.isOffline();
+    this.update({ type, isConnected, isInternetReachable });
+
+    if (wasOffline && !this.isOffline()) {
+      logger.info('📶 Back online', { type });
+      this.checkApiReachability();
+    } else if (!wasOffline && this.isOffline()) {
+      logger.info('📴 Device went offline');
+      this.clearProbeTimer();
+    }
+  }
+
+  /**
+   * Whether the device has no network connection
+   * Only a definite "disconnected" counts; unknown is treated as online.
+   * @returns {boolean} Offline status
+   */
+  isOffline() {
+    return this.state.isConnected === false;
+  }
+
+  /**
+   * Current connectivity
+   * @returns {Object} { isConnected, isInternetReachable, type, isApiReachable, isOffline }
+   */
+  getState() {
+    return { ...this.state, isOffline: this.isOffline() };
+  }
+
+  // ============================================================================
+  // API REACHABILITY
+  // ============================================================================
+
+  /**
+   * Set the function that checks the API host (ApiService.probeApi)
+   * @param {Function} probe - Resolves to true if the host answered
+   */
+  setApiProbe(probe) {
+    this.apiProbe = probe;
+  }
+
+  /**
+   * Record whether a request reached the API host
+   * While the host is unreachable it is probed every
+   * config.connectivity.apiProbeInterval until it answers.
+   * @param {boolean} reachable - The host answered
+   */
+  reportApiReachable(reachable) {
+    if (reachable) {
+      this.clearProbeTimer();
+    } else if (!this.isOffline()) {
+      this.scheduleProbe();
+    }
+
+    if (this.state.isApiReachable === reachable) return;
+
+    if (reachable) {
+      logger.info('✅ API reachable');
+    } else {
+      logger.warn('⚠️ API unreachable');
+    }
+    this.update({ isApiReachable: reachable });
+  }
+
+  /**
+   * Probe the API host now; concurrent calls share one probe
+   * @returns {Promise<boolean|null>} Reachability, or null when it can't be checked
+   */
+  checkApiReachability() {
+    if (!this.apiProbe || this.isOffline()) {
+      return Promise.resolve(this.state.isApiReachable);
+    }
+
+    if (!this.probePromise) {
+      this.clearProbeTimer();
+      this.probePromise = Promise.resolve()
+        .then(() => this.apiProbe())
+        .catch(() => false)
+        .then((reachable) => {
+          this.reportApiReachable(reachable);
+          return reachable;
+        })
+        .finally(() => {
+          this.probePromise = null;
+        });
+    }
+    return this.probePromise;
+  }
+
+  /**
+   * Probe the API host again after config.connectivity.apiProbeInterval,
+   * unless a probe is already scheduled
+   */
+  scheduleProbe() {
+    if (this.probeTimer) return;
+    this.probeTimer = setTimeout(() => {
+      this.probeTimer = null;
+      this.checkApiReachability();
+    }, config.connectivity.apiProbeInterval);
+  }
+
+  /**
+   * Cancel the scheduled probe, if any
+   */
+  clearProbeTimer() {
+    if (this.probeTimer) {
+      clearTimeout(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  // ============================================================================
+  // SUBSCRIPTIONS
+  // ============================================================================
+
+  /**
+   * Subscribe to connectivity changes
+   * @param {Function} listener - Called with (state, previousState)
+   * @returns {Function} Unsubscribe
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  update(changes) {
+    const previous = this.getState();
+    const changed = Object.keys(changes).some(key => changes[key] !== this.state[key]);
+    if (!changed) return;
+
+    this.state = { ...this.state, ...changes };
+    const state = this.getState();
+    this.listeners.forEach((listener) => {
+      try {
+        listener(state, previous);
+      } catch (error) {
+        logger.error('Connectivity listener failed', error);
+      }
+    });
+  }
+}
+
+// Create and export a singleton instance
+const connectivityService = new ConnectivityService();
+
+export default connectivityService;
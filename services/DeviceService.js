@@ -0,0 +1,84 @@
+/**
+ * Device Service
+ * Describes this install to the backend. The descriptor is sent with every
+ * login so the "Sesiones activas" screen can tell devices apart.
+ */
+
+import { Platform } from 'react-native';
+import Constants from 'expo-constants';
+import storageService from './StorageService';
+import { createIdempotencyKey } from './ApiService';
+import { createLogger } from './Logger';
+
+const logger = createLogger('DeviceService');
+
+class DeviceService {
+  constructor() {
+    this.installIdPromise = null;
+  }
+
+  /**
+   * Random ID generated on first use and kept for the life of the install
+   * @returns {Promise<string>} Install ID
+   */
+  getInstallId() {
+    if (!this.installIdPromise) {
+      this.installIdPromise = (async () => {
+        const stored = await storageService.getInstallId();
+        if (stored) return stored;
+
+        // Same UUID v4 format as idempotency keys
+        const installId = createIdempotencyKey();
+        await storageService.storeInstallId(installId);
+        logger.debug('📱 New install ID', { installId });
+        return installId;
+      })().catch((error) => {
+        this.installIdPromise = null;
+        throw error;
+      });
+    }
+    return this.installIdPromise;
+  }
+
+  /**
+   * Hardware model, e.g. "Google Pixel 7" or "iPhone"
+   * iOS doesn't expose the model without expo-device, so only the family is known.
+   * @returns {string} Device model
+   */
+  getModel() {
+    const { Manufacturer, Model, interfaceIdiom } = Platform.constants || {};
+
+    if (Model) {
+      return Manufacturer && !Model.toLowerCase().startsWith(Manufacturer.toLowerCase())
+        ? `${Manufacturer} ${Model}`
+        : Model;
+    }
+    if (Platform.OS === 'ios') {
+      return interfaceIdiom === 'pad' ? 'iPad' : 'iPhone';
+    }
+    return Platform.OS === 'android' ? 'Android' : Platform.OS;
+  }
+
+  /**
+   * Fields sent with login
+   * @returns {Promise<Object>} { device_name, device_id, device_model, os_name, os_version, app_version }
+   */
+  async getDescriptor() {
+    const model = this.getModel();
+
+    return {
+      // The name the user gave the phone ("iPhone de Ana") is the easiest to recognize
+      device_name: Constants.deviceName || model,
+      device_id: await this.getInstallId(),
+      device_model: model,
+      os_name: Platform.OS,
+      os_version: String(Platform.Version ?? 'unknown'),
+      app_version: Constants.expoConfig?.version || '1.0.0',
+    };
+  }
+}
+
+// Create and export a singleton instance
+const deviceService = new DeviceService();
+
+export default deviceService;
@@ -5,12 +5,34 @@
 
 import apiService from './ApiService';
 import storageService from './StorageService';
-import config from './config';
+import environmentService from './EnvironmentService';
+import deviceService from './DeviceService';
+import connectivityService from './ConnectivityService';
+import imageService from './ImageService';
+import offlineQueue from './OfflineQueue';
+import Paginator from './Paginator';
+import TokenRefreshScheduler from './TokenRefreshScheduler';
+import { AuthenticationError } from './ApiError';
+import { createLogger } from './Logger';
+
+const logger = createLogger('EnhancedApiService');
 
 class EnhancedApiService {
   constructor() {
     this.isInitialized = false;
     this.refreshPromise = null;
+    this.sessionListeners = new Set();
+    this.refreshScheduler = new TokenRefreshScheduler({ refresh: () => this.refreshToken() });
+
+    this.removeTokenCheckInterceptor = apiService.addRequestInterceptor(
+      (request) => this.ensureFreshToken(request)
+    );
+    this.removeAuthRefreshInterceptor = apiService.addErrorInterceptor(
+      (error, request) => this.handleAuthError(error, request)
+    );
+
+    // Switching environments drops the tokens
+    environmentService.addListener(() => this.refreshScheduler.cancel());
   }
 
   /**
@@ -21,53 +43,68 @@ class EnhancedApiService {
     if (this.isInitialized) return true;
 
     try {
-      // Set base URL from config
-      apiService.setBaseURL(config.baseURL);
+      // Watch the network before anything goes out
+      connectivityService.initialize();
+
+      // Stored data must be migrated before it is read; App.js normally
+      // has done this already
+      await storageService.initialize();
+
+      // Apply the persisted environment (base URL, timeout, retries)
+      await environmentService.initialize();
 
       // Restore token from storage
       const token = await storageService.getAuthToken();
       if (token) {
         apiService.setToken(token);
         
-        // Check if token is expired
-        const isExpired = await storageService.isTokenExpired();
-        if (isExpired) {
-          // Try to refresh token
-          await this.refreshToken();
+        // Refresh ahead of expiry from now on
+        const expiry = await storageService.getTokenExpiry();
+        this.refreshScheduler.start();
+        this.refreshScheduler.schedule(expiry);
+
+        // Unknown expiry, expired or about to: refresh before the first request.
+        // A rejected refresh token ends the session inside refreshToken();
+        // other failures are retried by the scheduler or on the first 401
+        if (!expiry || this.refreshScheduler.isDue()) {
+          await this.refreshToken().catch((error) => {
+            logger.warn('Token refresh on startup failed', error);
+          });
         }
       }
 
+      // Restore queued mutations and replay them if we are online
+      await offlineQueue.initialize();
+
       this.isInitialized = true;
       return true;
     } catch (error) {
-      console.error('EnhancedApiService initialization error:', error);
+      logger.error('EnhancedApiService initialization error', error);
       return false;
     }
   }
 
   /**
    * Enhanced login with storage integration
+   * The device descriptor (see DeviceService) is sent along; fields in
+   * `credentials` take precedence.
    * @param {Object} credentials - Login credentials
    * @returns {Promise} Login response
    */
   async login(credentials) {
     try {
-      const response = await apiService.login(credentials);
+      const device = await deviceService.getDescriptor();
+      const response = await apiService.login({ ...device, ...credentials });
       
       if (response.success && response.data.token) {
-        // Store token and user data
-        await storageService.storeAuthToken(response.data.token);
+        // Store tokens and user data
+        await this.storeSession(response.data);
         await storageService.storeUserProfile(response.data.user);
-        
-        // Set token expiry (assuming 24 hours if not provided)
-        const expiry = new Date();
-        expiry.setHours(expiry.getHours() + 24);
-        await storageService.storeTokenExpiry(expiry);
       }
 
       return response;
     } catch (error) {
-      console.error('Enhanced login error:', error);
+      logger.error('Enhanced login error', error);
       throw error;
     }
   }
@@ -82,20 +119,28 @@ class EnhancedApiService {
       
       if (response.success) {
         // Clear all stored data
-        await storageService.clearAuthData();
-        apiService.clearToken();
+        await this.clearLocalSession();
       }
 
       return response;
     } catch (error) {
-      console.error('Enhanced logout error:', error);
+      logger.error('Enhanced logout error', error);
       // Even if API call fails, clear local data
-      await storageService.clearAuthData();
-      apiService.clearToken();
+      await this.clearLocalSession();
       throw error;
     }
   }
 
+  /**
+   * Drop tokens, cached user data and queued mutations on this device
+   */
+  async clearLocalSession() {
+    this.refreshScheduler.cancel();
+    await storageService.clearAuthData();
+    await offlineQueue.clear();
+    apiService.clearToken();
+  }
+
   /**
    * Enhanced token refresh with storage integration
    * @returns {Promise} Token refresh response
@@ -108,24 +153,23 @@ class EnhancedApiService {
 
     this.refreshPromise = (async () => {
       try {
-        const response = await apiService.refreshToken();
+        const refreshToken = await storageService.getRefreshToken();
+        const response = await apiService.refreshToken(refreshToken);
         
         if (response.success && response.data.token) {
-          // Update stored token
-          await storageService.storeAuthToken(response.data.token);
-          
-          // Update token expiry
-          const expiry = new Date();
-          expiry.setHours(expiry.getHours() + 24);
-          await storageService.storeTokenExpiry(expiry);
+          // Both tokens were rotated
+          await this.storeSession(response.data);
+          this.notifySession('refreshed');
         }
 
         return response;
       } catch (error) {
-        console.error('Token refresh error:', error);
-        // Clear stored data on refresh failure
-        await storageService.clearAuthData();
-        apiService.clearToken();
+        logger.error('Token refresh error', error);
+        // The server rejected the refresh token; network and server failures
+        // keep the session so a later attempt can still refresh it
+        if (error instanceof AuthenticationError) {
+          await this.invalidateSession();
+        }
         throw error;
       } finally {
         this.refreshPromise = null;
@@ -135,6 +179,139 @@ class EnhancedApiService {
     return this.refreshPromise;
   }
 
+  /**
+   * Persist the tokens from a login or refresh response
+   * The expiry comes from `expires_in` (seconds). Without it the token is
+   * treated as expired, so the next start refreshes it.
+   * @param {Object} data - Response data ({ token, refresh_token, expires_in })
+   */
+  async storeSession({ token, refresh_token: refreshToken, expires_in: expiresIn }) {
+    await storageService.storeAuthToken(token);
+
+    // Servers that don't rotate keep the refresh token from login
+    if (refreshToken) {
+      await storageService.storeRefreshToken(refreshToken);
+    }
+
+    if (typeof expiresIn === 'number') {
+      const expiry = new Date(Date.now() + expiresIn * 1000);
+      await storageService.storeTokenExpiry(expiry);
+      this.refreshScheduler.start();
+      this.refreshScheduler.schedule(expiry);
+    } else {
+      await storageService.removeTokenExpiry();
+      this.refreshScheduler.cancel();
+    }
+  }
+
+  /**
+   * Drop the local session after the server rejected the refresh token
+   * Nothing is sent to the server since both tokens are already dead. Queued
+   * mutations are kept: they belong to their user and replay after that user
+   * signs in again.
+   */
+  async invalidateSession() {
+    logger.warn('🔒 Session expired, signing out');
+    this.refreshScheduler.cancel();
+    await storageService.clearAuthData();
+    apiService.clearToken();
+    this.notifySession('expired');
+  }
+
+  /**
+   * Subscribe to session changes
+   * @param {Function} listener - Called with 'refreshed', or 'expired' when the
+   *   session ends without logout() (refresh token rejected, session revoked)
+   * @returns {Function} Unsubscribe function
+   */
+  addSessionListener(listener) {
+    this.sessionListeners.add(listener);
+    return () => this.sessionListeners.delete(listener);
+  }
+
+  /**
+   * Notify session subscribers
+   * @param {string} event - 'refreshed' or 'expired'
+   */
+  notifySession(event) {
+    this.sessionListeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.warn('Session listener error', error);
+      }
+    });
+  }
+
+  /**
+   * Request interceptor: refresh a token that is about to expire before sending
+   * Also waits for a refresh already in flight, so no request goes out with
+   * the token being replaced.
+   * @param {Object} request - Outgoing request
+   * @returns {Promise<Object>} Request carrying the current token
+   */
+  async ensureFreshToken(request) {
+    const { options } = request;
+    if (options.requireAuth === false || options.skipAuthRefresh || !apiService.getCurrentToken()) {
+      return request;
+    }
+    if (!this.refreshPromise && !this.refreshScheduler.isDue()) {
+      return request;
+    }
+
+    try {
+      await this.refreshToken();
+    } catch (refreshError) {
+      // Sent as is; a 401 goes through handleAuthError
+      return request;
+    }
+
+    const token = apiService.getCurrentToken();
+    if (!token) return request;
+
+    return {
+      ...request,
+      headers: { ...request.headers, Authorization: `Bearer ${token}` },
+    };
+  }
+
+  /**
+   * Error interceptor: refresh the token once on 401 and replay the request
+   * @param {Error} error - Final request error
+   * @param {Object} request - Failed request
+   * @returns {Promise<any>} Replayed response, or nothing to pass the error on
+   */
+  async handleAuthError(error, request) {
+    const { options } = request;
+    if (!(error instanceof AuthenticationError) || options.requireAuth === false || options.skipAuthRefresh) {
+      return undefined;
+    }
+
+    // Signed out: no token went out and none can be refreshed, so the 401 stands
+    if (!apiService.getCurrentToken() || !(await storageService.getRefreshToken())) {
+      return undefined;
+    }
+
+    try {
+      await this.refreshToken();
+    } catch (refreshError) {
+      // Couldn't reach the server to refresh; the session is still valid
+      if (!(refreshError instanceof AuthenticationError)) {
+        return refreshError;
+      }
+
+      // refreshToken() already dropped the session; send the user to login
+      return new AuthenticationError('Authentication expired. Please login again.', {
+        code: 'session_expired',
+        request: error.request,
+        cause: refreshError,
+      });
+    }
+
+    // Retry the original request once with the new token
+    return apiService.request(request.endpoint, { ...options, skipAuthRefresh: true });
+  }
+
   /**
    * Enhanced API request with automatic token refresh
    * @param {string} endpoint - API endpoint
@@ -143,32 +320,27 @@ class EnhancedApiService {
    */
   async request(endpoint, options = {}) {
     await this.initialize();
+    return apiService.request(endpoint, options);
+  }
 
-    try {
-      return await apiService.request(endpoint, options);
-    } catch (error) {
-      // If token is expired, try to refresh and retry
-      if (error.message.includes('401') && options.requireAuth !== false) {
-        try {
-          await this.refreshToken();
-          // Retry the original request
-          return await apiService.request(endpoint, options);
-        } catch (refreshError) {
-          // If refresh fails, redirect to login
-          await this.logout();
-          throw new Error('Authentication expired. Please login again.');
-        }
-      }
-      throw error;
-    }
+  /**
+   * Call a registered endpoint with automatic token refresh
+   * @param {string} name - Endpoint name (see endpoints.js)
+   * @param {Object} options - params, query, body and request options
+   * @returns {Promise} API response
+   */
+  async callEndpoint(name, options = {}) {
+    await this.initialize();
+    return apiService.callEndpoint(name, options);
   }
 
   /**
    * Get user profile with caching
    * @param {boolean} forceRefresh - Force refresh from API
+   * @param {Object} [options] - Request options, e.g. { signal }
    * @returns {Promise} User profile
    */
-  async getUserProfile(forceRefresh = false) {
+  async getUserProfile(forceRefresh = false, options = {}) {
     if (!forceRefresh) {
       const cachedProfile = await storageService.getUserProfile();
       if (cachedProfile) {
@@ -176,7 +348,7 @@ class EnhancedApiService {
       }
     }
 
-    const response = await this.request('/user');
+    const response = await this.callEndpoint('getUserProfile', options);
     
     if (response.success && response.data.user) {
       await storageService.storeUserProfile(response.data.user);
@@ -194,19 +366,30 @@ class EnhancedApiService {
     if (!forceRefresh) {
       const cachedRoles = await storageService.getUserRoles();
       if (cachedRoles) {
+        this.applyRoleLevel(cachedRoles);
         return { success: true, data: { roles: cachedRoles } };
       }
     }
 
-    const response = await this.request('/user/roles');
+    const response = await this.callEndpoint('getUserRoles');
     
     if (response.success && response.data.roles) {
       await storageService.storeUserRoles(response.data.roles);
+      this.applyRoleLevel(response.data.roles);
     }
 
     return response;
   }
 
+  /**
+   * Tell the base service the user's highest role level so requests use the right rate limit tier
+   * @param {Array} roles - User roles
+   */
+  applyRoleLevel(roles) {
+    const levels = roles.map(role => role.level).filter(level => typeof level === 'number');
+    apiService.setRoleLevel(levels.length > 0 ? Math.max(...levels) : 1);
+  }
+
   /**
    * Get user permissions with caching
    * @param {boolean} forceRefresh - Force refresh from API
@@ -220,7 +403,7 @@ class EnhancedApiService {
       }
     }
 
-    const response = await this.request('/user/permissions');
+    const response = await this.callEndpoint('getUserPermissions');
     
     if (response.success && response.data.permissions) {
       await storageService.storeUserPermissions(response.data.permissions);
@@ -242,7 +425,7 @@ class EnhancedApiService {
       }
       return false;
     } catch (error) {
-      console.error('Permission check error:', error);
+      logger.error('Permission check error', error);
       return false;
     }
   }
@@ -262,7 +445,7 @@ class EnhancedApiService {
       }
       return false;
     } catch (error) {
-      console.error('Permission check error:', error);
+      logger.error('Permission check error', error);
       return false;
     }
   }
@@ -282,7 +465,7 @@ class EnhancedApiService {
       }
       return false;
     } catch (error) {
-      console.error('Permission check error:', error);
+      logger.error('Permission check error', error);
       return false;
     }
   }
@@ -299,7 +482,7 @@ class EnhancedApiService {
       }
       return 1; // Default to regular user level
     } catch (error) {
-      console.error('Role level check error:', error);
+      logger.error('Role level check error', error);
       return 1;
     }
   }
@@ -310,43 +493,28 @@ class EnhancedApiService {
 
   // Authentication methods
   async register(userData) {
-    return this.request('/register', {
-      method: 'POST',
-      body: userData,
-      requireAuth: false,
-    });
+    const device = await deviceService.getDescriptor();
+    return this.callEndpoint('register', { body: { ...device, ...userData } });
   }
 
   async forgotPassword(email) {
-    return this.request('/forgot-password', {
-      method: 'POST',
-      body: { email },
-      requireAuth: false,
-    });
+    return this.callEndpoint('forgotPassword', { body: { email } });
   }
 
   async resetPassword(resetData) {
-    return this.request('/reset-password', {
-      method: 'POST',
-      body: resetData,
-      requireAuth: false,
-    });
+    return this.callEndpoint('resetPassword', { body: resetData });
   }
 
   async verifyResetToken(email, token) {
-    return this.request('/verify-reset-token', {
-      method: 'POST',
-      body: { email, token },
-      requireAuth: false,
-    });
+    return this.callEndpoint('verifyResetToken', { body: { email, token } });
   }
 
   // User management methods
+  // Profile and password changes made offline are queued and replayed later;
+  // check `response.queued` to tell the user
   async updateUserProfile(profileData) {
-    const response = await this.request('/user', {
-      method: 'PUT',
-      body: profileData,
-    });
+    await this.initialize();
+    const response = await offlineQueue.execute('updateUserProfile', { body: profileData });
 
     if (response.success && response.data.user) {
       await storageService.storeUserProfile(response.data.user);
@@ -356,39 +524,84 @@ class EnhancedApiService {
   }
 
   async changePassword(passwordData) {
-    return this.request('/change-password', {
-      method: 'POST',
-      body: passwordData,
-    });
+    return this.callEndpoint('changePassword', { body: passwordData });
+  }
+
+  // Session management methods
+  async listSessions() {
+    return this.callEndpoint('listSessions');
+  }
+
+  // Revoking this device's own session signs out here right away
+  async revokeSession(sessionId) {
+    const response = await this.callEndpoint('revokeSession', { params: { sessionId } });
+
+    if (response.success && response.data?.session?.is_current) {
+      await this.clearLocalSession();
+      this.notifySession('expired');
+    }
+
+    return response;
+  }
+
+  async revokeOtherSessions() {
+    return this.callEndpoint('revokeOtherSessions');
+  }
+
+  // Upload methods
+  // `image` is a URI or an image picker asset; it's resized and stripped of
+  // EXIF data first. `options` takes { signal, onUploadProgress }.
+  async uploadAvatar(image, options = {}) {
+    const file = await imageService.prepare(image, 'avatar');
+    const response = await apiService.uploadAvatar(file, options);
+
+    if (response.success && response.data.user) {
+      await storageService.storeUserProfile(response.data.user);
+    }
+
+    return response;
+  }
+
+  async uploadPropertyPhoto(propertyId, image, options = {}) {
+    const file = await imageService.prepare(image, 'propertyPhoto');
+    return apiService.uploadPropertyPhoto(propertyId, file, options);
   }
 
   // Geographic data methods
-  async listSectors(params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    const endpoint = queryString ? `/sectors?${queryString}` : '/sectors';
-    return this.request(endpoint);
+  // `options` takes request options such as { signal } or { cache: 'reload' }
+  async listSectors(params = {}, options = {}) {
+    return this.callEndpoint('listSectors', { query: params, ...options });
+  }
+
+  async getSector(sectorId, params = {}, options = {}) {
+    return this.callEndpoint('getSector', { params: { sectorId }, query: params, ...options });
   }
 
-  async getSector(sectorId, params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    const endpoint = queryString 
-      ? `/sectors/${sectorId}?${queryString}` 
-      : `/sectors/${sectorId}`;
-    return this.request(endpoint);
+  async listProperties(params = {}, options = {}) {
+    return this.callEndpoint('listProperties', { query: params, ...options });
   }
 
-  async listProperties(params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    const endpoint = queryString ? `/properties?${queryString}` : '/properties';
-    return this.request(endpoint);
+  async getProperty(propertyId, params = {}, options = {}) {
+    return this.callEndpoint('getProperty', { params: { propertyId }, query: params, ...options });
   }
 
-  async getProperty(propertyId, params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    const endpoint = queryString 
-      ? `/properties/${propertyId}?${queryString}` 
-      : `/properties/${propertyId}`;
-    return this.request(endpoint);
+  // Paginators for infinite lists; see Paginator.js
+  paginateSectors(params = {}, { perPage } = {}) {
+    return new Paginator({
+      fetchPage: (query, options) => this.callEndpoint('listSectors', { query, ...options }),
+      dataKey: 'sectors',
+      query: params,
+      perPage,
+    });
+  }
+
+  paginateProperties(params = {}, { perPage } = {}) {
+    return new Paginator({
+      fetchPage: (query, options) => this.callEndpoint('listProperties', { query, ...options }),
+      dataKey: 'properties',
+      query: params,
+      perPage,
+    });
   }
 
   // Utility methods
@@ -400,6 +613,19 @@ class EnhancedApiService {
     return apiService.getCurrentToken();
   }
 
+  // Shared response cache, used by the data hooks (hooks/)
+  getCacheKey(name, options) {
+    return apiService.getCacheKey(name, options);
+  }
+
+  peekCache(name, options) {
+    return apiService.peekCache(name, options);
+  }
+
+  addCacheListener(listener) {
+    return apiService.responseCache.addListener(listener);
+  }
+
   validateEmail(email) {
     return apiService.validateEmail(email);
   }
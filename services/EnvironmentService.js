@@ -0,0 +1,214 @@
+/**
+ * Environment Service
+ * Runtime registry of API environments. Lets QA point a build at staging, a
+ * local stand-in server or a custom base URL without rebuilding. The selection
+ * is persisted and re-applied on the next launch.
+ */
+
+import apiService from './ApiService';
+import storageService from './StorageService';
+import offlineQueue from './OfflineQueue';
+import config, { environments, defaultEnvironment } from './config';
+import { createLogger } from './Logger';
+
+const logger = createLogger('EnvironmentService');
+
+// Name used for a free-form base URL entered at runtime
+export const CUSTOM_ENVIRONMENT = 'custom';
+
+class EnvironmentService {
+  constructor() {
+    this.environments = Object.fromEntries(
+      Object.entries(environments).map(([name, settings]) => [name, { ...settings }])
+    );
+    this.current = defaultEnvironment;
+    this.isInitialized = false;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Apply the persisted environment, if any
+   * Tokens restored afterwards already belong to that environment, so auth
+   * state is left untouched here.
+   * @returns {Promise<string>} Active environment name
+   */
+  async initialize() {
+    if (this.isInitialized) return this.current;
+
+    try {
+      const override = await storageService.getEnvironmentOverride();
+      if (override?.name) {
+        if (override.settings) {
+          this.environments[override.name] = {
+            ...this.environments[override.name],
+            ...override.settings,
+          };
+        }
+        if (this.environments[override.name]?.baseURL) {
+          this.current = override.name;
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to restore environment override', error);
+    }
+
+    this.apply();
+    this.isInitialized = true;
+    return this.current;
+  }
+
+  /**
+   * Get the registered environments
+   * @returns {Object} Settings keyed by environment name
+   */
+  getEnvironments() {
+    return this.environments;
+  }
+
+  /**
+   * Get the active environment
+   * @returns {Object} Name and settings
+   */
+  getCurrentEnvironment() {
+    return { name: this.current, ...this.environments[this.current] };
+  }
+
+  /**
+   * Add or edit an environment in the registry
+   * Editing the active environment re-applies it and clears auth state.
+   * @param {string} name - Environment name
+   * @param {Object} settings - baseURL, timeout, retryAttempts, transport
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateEnvironment(name, settings) {
+    const previous = this.environments[name] || {};
+    const updated = {
+      timeout: config.timeout,
+      retryAttempts: config.retryAttempts,
+      ...previous,
+      ...settings,
+    };
+
+    if (!updated.baseURL) {
+      throw new Error(`Environment "${name}" needs a baseURL`);
+    }
+
+    this.environments[name] = updated;
+
+    if (name === this.current) {
+      await this.switchEnvironment(name);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Point the app at an arbitrary server
+   * @param {string} baseURL - Base URL including the /api/v1 prefix
+   * @returns {Promise<Object>} Active environment
+   */
+  async setCustomBaseURL(baseURL) {
+    this.environments[CUSTOM_ENVIRONMENT] = {
+      ...this.environments[this.current],
+      ...this.environments[CUSTOM_ENVIRONMENT],
+      baseURL: baseURL.replace(/\/+$/, ''),
+    };
+    return this.switchEnvironment(CUSTOM_ENVIRONMENT);
+  }
+
+  /**
+   * Switch to another environment and persist the choice
+   * Auth state is cleared so tokens never cross environments.
+   * @param {string} name - Environment name
+   * @returns {Promise<Object>} Active environment
+   */
+  async switchEnvironment(name) {
+    if (!this.environments[name]) {
+      throw new Error(`Unknown environment: ${name}`);
+    }
+    if (!this.environments[name].baseURL) {
+      throw new Error(`Environment "${name}" has no baseURL; set one with updateEnvironment()`);
+    }
+
+    await this.clearAuthState();
+
+    this.current = name;
+    this.apply();
+
+    await storageService.storeEnvironmentOverride({
+      name,
+      settings: this.environments[name],
+    });
+
+    logger.info('Environment switched', { name, baseURL: this.environments[name].baseURL });
+    this.notify();
+    return this.getCurrentEnvironment();
+  }
+
+  /**
+   * Go back to the build's default environment and settings
+   * @returns {Promise<Object>} Active environment
+   */
+  async resetEnvironment() {
+    this.environments = Object.fromEntries(
+      Object.entries(environments).map(([name, settings]) => [name, { ...settings }])
+    );
+    const environment = await this.switchEnvironment(defaultEnvironment);
+    await storageService.removeEnvironmentOverride();
+    return environment;
+  }
+
+  /**
+   * Copy the active settings into config and the base API service
+   */
+  apply() {
+    const settings = this.environments[this.current];
+
+    const transport = settings.transport || 'http';
+
+    Object.assign(config, settings, { environment: this.current, transport });
+    apiService.setTransport(transport);
+    apiService.setBaseURL(settings.baseURL);
+    apiService.setRequestTimeout(settings.timeout);
+    apiService.setRetryAttempts(settings.retryAttempts);
+  }
+
+  /**
+   * Drop tokens, cached user data and queued mutations
+   * @returns {Promise} Clear result
+   */
+  async clearAuthState() {
+    apiService.clearToken();
+    await offlineQueue.clear();
+    return storageService.clearAuthData();
+  }
+
+  /**
+   * Subscribe to environment switches
+   * @param {Function} listener - Called with the new environment
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of the active environment
+   */
+  notify() {
+    const environment = this.getCurrentEnvironment();
+    this.listeners.forEach(listener => {
+      try {
+        listener(environment);
+      } catch (error) {
+        logger.warn('Environment listener error', error);
+      }
+    });
+  }
+}
+
+// Create and export a singleton instance
+const environmentService = new EnvironmentService();
+
+export default environmentService;
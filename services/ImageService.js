@@ -0,0 +1,60 @@
+/**
+ * Image Service
+ * Prepares photos for upload: scaled down to the preset's longest side and
+ * re-encoded as JPEG. Re-encoding writes a fresh file without the original's
+ * EXIF block, so camera details and GPS coordinates never leave the device.
+ */
+
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import config from './config';
+import { createLogger } from './Logger';
+
+const logger = createLogger('ImageService');
+
+class ImageService {
+  /**
+   * Resize and compress an image for upload
+   * @param {string|Object} source - File URI, or an image picker asset { uri, width, height }
+   * @param {string|Object} [preset] - Name in config.uploads.images, or { maxDimension, quality }
+   * @returns {Promise<Object>} File ready for FormData: { uri, name, type, width, height }
+   */
+  async prepare(source, preset = 'propertyPhoto') {
+    const { uri, width, height } = typeof source === 'string' ? { uri: source } : source;
+    const { maxDimension, quality } = typeof preset === 'string' ? config.uploads.images[preset] : preset;
+
+    const context = ImageManipulator.manipulate(uri);
+
+    // Picker assets carry their size; a bare URI has to be decoded once to learn it
+    let size = width && height ? { width, height } : null;
+    if (!size) {
+      const original = await ImageManipulator.manipulate(uri).renderAsync();
+      size = { width: original.width, height: original.height };
+    }
+
+    // Only one side is given so the aspect ratio is kept
+    if (Math.max(size.width, size.height) > maxDimension) {
+      context.resize(size.width >= size.height ? { width: maxDimension } : { height: maxDimension });
+    }
+
+    const image = await context.renderAsync();
+    const result = await image.saveAsync({ compress: quality, format: SaveFormat.JPEG });
+
+    logger.debug('🖼️ Image prepared', {
+      from: `${size.width}x${size.height}`,
+      to: `${result.width}x${result.height}`,
+    });
+
+    return {
+      uri: result.uri,
+      name: `${Date.now()}.jpg`,
+      type: 'image/jpeg',
+      width: result.width,
+      height: result.height,
+    };
+  }
+}
+
+// Create and export a singleton instance
+const imageService = new ImageService();
+
+export default imageService;
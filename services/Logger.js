@@ -0,0 +1,167 @@
+/**
+ * Logger
+ * Level-based, tagged logger that redacts credentials, emails and coordinates
+ * before anything reaches the console.
+ */
+
+import config from './config';
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never logged
+const SENSITIVE_KEYS = /^(authorization|password|password_confirmation|current_password|new_password|token|access_token|refresh_token|secret|api_key|x-api-key)$/i;
+
+// Object keys holding precise location data
+const COORDINATE_KEYS = /^(latitude|longitude|lat|lng|lon|coords|coordinate|region)$/i;
+
+const BEARER_PATTERN = /Bearer\s+[A-Za-z0-9\-._~+/|]+=*/g;
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+const MAX_DEPTH = 6;
+
+/**
+ * Redact sensitive content from a string
+ * @param {string} value - String to redact
+ * @returns {string} Redacted string
+ */
+const redactString = (value) => value
+  .replace(BEARER_PATTERN, `Bearer ${REDACTED}`)
+  .replace(EMAIL_PATTERN, '$1***@$2');
+
+/**
+ * Deep-copy a value with sensitive content redacted
+ * @param {any} value - Value to redact
+ * @param {number} depth - Current depth
+ * @returns {any} Redacted copy
+ */
+export const redact = (value, depth = 0) => {
+  if (value === null || value === undefined) return value;
+
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (typeof value !== 'object') {
+    return value;
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message || ''),
+      status: value.status,
+      code: value.code,
+    };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (SENSITIVE_KEYS.test(key) || COORDINATE_KEYS.test(key)) {
+      result[key] = item === null || item === undefined ? item : REDACTED;
+    } else {
+      result[key] = redact(item, depth + 1);
+    }
+  });
+  return result;
+};
+
+class Logger {
+  /**
+   * @param {string} tag - Module tag printed with every entry
+   */
+  constructor(tag = 'App') {
+    this.tag = tag;
+  }
+
+  /**
+   * Create a logger for another module sharing the global level
+   * @param {string} tag - Module tag
+   * @returns {Logger} Tagged logger
+   */
+  child(tag) {
+    return new Logger(tag);
+  }
+
+  /**
+   * Write an entry if its level is enabled
+   * @param {string} level - Entry level
+   * @param {string} message - Message
+   * @param {any} [data] - Extra data, redacted before output
+   */
+  log(level, message, data) {
+    if (LEVELS[level] < LEVELS[Logger.level]) return;
+
+    const method = level === 'debug' ? 'log' : level;
+    const prefix = `[${this.tag}] ${redactString(String(message))}`;
+
+    if (data === undefined) {
+      console[method](prefix);
+    } else {
+      console[method](prefix, redact(data));
+    }
+  }
+
+  debug(message, data) {
+    this.log('debug', message, data);
+  }
+
+  info(message, data) {
+    this.log('info', message, data);
+  }
+
+  warn(message, data) {
+    this.log('warn', message, data);
+  }
+
+  error(message, data) {
+    this.log('error', message, data);
+  }
+}
+
+// Shared by every tagged logger; production builds drop debug and info output
+Logger.level = config.logLevel;
+
+/**
+ * Change the global log level
+ * @param {string} level - debug, info, warn, error or silent
+ */
+export const setLogLevel = (level) => {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  Logger.level = level;
+};
+
+/**
+ * Get the global log level
+ * @returns {string} Current level
+ */
+export const getLogLevel = () => Logger.level;
+
+/**
+ * Create a tagged logger
+ * @param {string} tag - Module tag
+ * @returns {Logger} Tagged logger
+ */
+export const createLogger = (tag) => new Logger(tag);
+
+// Create and export a default instance
+const logger = new Logger();
+
+export default logger;
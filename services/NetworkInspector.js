@@ -0,0 +1,401 @@
+/**
+ * Network Inspector
+ * Development-only record of every request the API client sends, one entry
+ * per attempt, taken at the transport so retries and failed connections show
+ * up too. Headers and bodies are redacted on the way in, so nothing kept here
+ * (or copied out as curl / HAR) carries tokens or passwords.
+ */
+
+import Constants from 'expo-constants';
+import apiService from './ApiService';
+import { createLogger, redact } from './Logger';
+
+const logger = createLogger('NetworkInspector');
+
+// Oldest entries are dropped past this
+const MAX_ENTRIES = 200;
+// Longer bodies are cut to keep the session small
+const MAX_BODY_LENGTH = 50000;
+
+// Sent again by the client on replay; the originals are stale or redacted
+const REPLAY_SKIPPED_HEADERS = /^(authorization|idempotency-key|content-type|accept)$/i;
+
+let nextId = 1;
+
+/**
+ * Redact and cap a body for display
+ * @param {any} body - Raw body: JSON text, FormData, or anything else
+ * @returns {string|null} Printable body
+ */
+const describeBody = (body) => {
+  if (body === undefined || body === null || body === '') return null;
+
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    const parts = typeof body.getParts === 'function' ? body.getParts() : [];
+    const fields = parts.map(part => (
+      part.uri ? `${part.fieldName}=<${part.type || 'file'} ${part.name || ''}>` : `${part.fieldName}=${redact(part.string ?? '')}`
+    ));
+    return `[multipart/form-data] ${fields.join(' ')}`.trim();
+  }
+
+  let text;
+  if (typeof body === 'string') {
+    try {
+      text = JSON.stringify(redact(JSON.parse(body)), null, 2);
+    } catch (error) {
+      text = redact(body);
+    }
+  } else {
+    text = JSON.stringify(redact(body), null, 2);
+  }
+
+  return text.length > MAX_BODY_LENGTH
+    ? `${text.slice(0, MAX_BODY_LENGTH)}\n… (${text.length - MAX_BODY_LENGTH} more characters)`
+    : text;
+};
+
+/**
+ * Plain, redacted copy of request or response headers
+ * @param {Object|Headers} headers - Headers object or fetch Headers
+ * @returns {Object} Header values keyed by name
+ */
+const describeHeaders = (headers) => {
+  const plain = {};
+  if (!headers) return plain;
+
+  if (typeof headers.forEach === 'function') {
+    headers.forEach((value, name) => {
+      plain[name] = value;
+    });
+  } else {
+    Object.assign(plain, headers);
+  }
+  return redact(plain);
+};
+
+const quote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+class NetworkInspector {
+  constructor() {
+    this.entries = [];
+    this.listeners = new Set();
+    // Unredacted request parts, only used to replay
+    this.replayData = new Map();
+    this.removeWrapper = null;
+
+    if (__DEV__) {
+      this.enable();
+    }
+  }
+
+  /**
+   * Start recording; safe to call more than once
+   */
+  enable() {
+    if (this.removeWrapper) return;
+    this.removeWrapper = apiService.addTransportWrapper(transport => (url, init, request) => (
+      this.record(transport, url, init, request)
+    ));
+    logger.debug('🔎 Network inspector enabled');
+  }
+
+  /**
+   * Stop recording; entries already recorded are kept
+   */
+  disable() {
+    this.removeWrapper?.();
+    this.removeWrapper = null;
+  }
+
+  /**
+   * Whether requests are being recorded
+   * @returns {boolean} Recording status
+   */
+  isEnabled() {
+    return this.removeWrapper !== null;
+  }
+
+  // ============================================================================
+  // RECORDING
+  // ============================================================================
+
+  /**
+   * Send a request through the wrapped transport and record it (transport wrapper)
+   * @param {Function} transport - Next transport in the chain
+   * @param {string} url - Request URL
+   * @param {Object} [init] - fetch options
+   * @param {Object} [request] - ApiService request metadata (endpoint, attempt)
+   * @returns {Promise<Object>} The transport's response, untouched
+   */
+  async record(transport, url, init = {}, request = {}) {
+    const entry = {
+      id: nextId++,
+      startedAt: new Date().toISOString(),
+      method: (init.method || 'GET').toUpperCase(),
+      url: redact(url),
+      endpoint: request.endpoint || url,
+      attempt: request.attempt || 1,
+      requestHeaders: describeHeaders(init.headers),
+      requestBody: describeBody(init.body),
+      status: null,
+      statusText: '',
+      responseHeaders: {},
+      responseBody: null,
+      size: null,
+      duration: null,
+      error: null,
+    };
+
+    this.replayData.set(entry.id, {
+      endpoint: request.endpoint,
+      method: entry.method,
+      headers: init.headers || {},
+      body: init.body,
+    });
+    this.add(entry);
+
+    const startedAt = Date.now();
+    try {
+      const response = await transport(url, init, request);
+      // Read a copy so ApiService can still read the original body
+      const text = await (typeof response.clone === 'function' ? response.clone() : response).text();
+
+      this.update(entry.id, {
+        status: response.status,
+        statusText: response.statusText || '',
+        responseHeaders: describeHeaders(response.headers),
+        responseBody: describeBody(text),
+        size: text.length,
+        duration: Date.now() - startedAt,
+      });
+      return response;
+    } catch (error) {
+      this.update(entry.id, {
+        duration: Date.now() - startedAt,
+        error: { name: error.name, message: redact(error.message || '') },
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Add a new entry, dropping the oldest past MAX_ENTRIES
+   * @param {Object} entry - Entry
+   */
+  add(entry) {
+    this.entries = [entry, ...this.entries];
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.slice(MAX_ENTRIES).forEach(dropped => this.replayData.delete(dropped.id));
+      this.entries = this.entries.slice(0, MAX_ENTRIES);
+    }
+    this.notify();
+  }
+
+  /**
+   * Merge changes into a recorded entry
+   * @param {number} id - Entry ID
+   * @param {Object} changes - Fields to overwrite
+   */
+  update(id, changes) {
+    this.entries = this.entries.map(entry => (entry.id === id ? { ...entry, ...changes } : entry));
+    this.notify();
+  }
+
+  /**
+   * Recorded entries, newest first
+   * @param {Object} [filter] - Filter options
+   * @param {string} [filter.text] - Matches method, URL or status
+   * @param {string} [filter.status] - 'success', 'error' (4xx/5xx) or 'failed' (no response)
+   * @returns {Array<Object>} Entries
+   */
+  getEntries({ text = '', status = 'all' } = {}) {
+    const needle = text.trim().toLowerCase();
+
+    return this.entries.filter((entry) => {
+      if (status === 'success' && !(entry.status >= 200 && entry.status < 400)) return false;
+      if (status === 'error' && !(entry.status >= 400)) return false;
+      if (status === 'failed' && !entry.error) return false;
+      if (!needle) return true;
+      return `${entry.method} ${entry.url} ${entry.status ?? ''}`.toLowerCase().includes(needle);
+    });
+  }
+
+  /**
+   * Get one entry
+   * @param {number} id - Entry ID
+   * @returns {Object|null} Entry
+   */
+  getEntry(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Forget every recorded entry
+   */
+  clear() {
+    this.entries = [];
+    this.replayData.clear();
+    this.notify();
+  }
+
+  // ============================================================================
+  // ACTIONS
+  // ============================================================================
+
+  /**
+   * Send a recorded request again through the API client
+   * It goes out with the current token, without the original idempotency key
+   * and without retries, and is recorded as a new entry. Error statuses
+   * reject with the usual ApiError.
+   * @param {number} id - Entry ID
+   * @returns {Promise<Object>} Response { ok, status, data, ... }
+   */
+  async replay(id) {
+    const data = this.replayData.get(id);
+    if (!data?.endpoint) {
+      throw new Error('This request can no longer be replayed');
+    }
+
+    const headers = {};
+    Object.entries(data.headers).forEach(([name, value]) => {
+      if (!REPLAY_SKIPPED_HEADERS.test(name)) headers[name] = value;
+    });
+
+    let body = data.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        // Not JSON; sent as recorded
+      }
+    }
+
+    logger.debug('🔁 Replaying request', { method: data.method, endpoint: data.endpoint });
+    return apiService.request(data.endpoint, {
+      method: data.method,
+      headers,
+      body,
+      requireAuth: Object.keys(data.headers).some(name => /^authorization$/i.test(name)),
+      retryAttempts: 0,
+      dedupe: false,
+      includeResponse: true,
+    });
+  }
+
+  /**
+   * Describe an entry as a curl command (with redacted values left in place)
+   * @param {number|Object} entryOrId - Entry or entry ID
+   * @returns {string} curl command
+   */
+  toCurl(entryOrId) {
+    const entry = typeof entryOrId === 'object' ? entryOrId : this.getEntry(entryOrId);
+    if (!entry) return '';
+
+    const parts = [`curl -X ${entry.method} ${quote(entry.url)}`];
+    Object.entries(entry.requestHeaders).forEach(([name, value]) => {
+      parts.push(`-H ${quote(`${name}: ${value}`)}`);
+    });
+    if (entry.requestBody && !entry.requestBody.startsWith('[multipart/form-data]')) {
+      parts.push(`--data-raw ${quote(entry.requestBody)}`);
+    }
+    return parts.join(' \\\n  ');
+  }
+
+  /**
+   * Export the recorded session as a HAR 1.2 log, oldest entry first
+   * @returns {Object} HAR document
+   */
+  toHar() {
+    const toNameValue = headers => Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+
+    const entries = [...this.entries].reverse().map((entry) => {
+      const queryString = [];
+      const query = entry.url.split('?')[1];
+      if (query) {
+        query.split('&').forEach((pair) => {
+          const [name, value = ''] = pair.split('=');
+          queryString.push({ name: decodeURIComponent(name), value: decodeURIComponent(value) });
+        });
+      }
+
+      return {
+        startedDateTime: entry.startedAt,
+        time: entry.duration ?? 0,
+        request: {
+          method: entry.method,
+          url: entry.url,
+          httpVersion: 'HTTP/1.1',
+          headers: toNameValue(entry.requestHeaders),
+          queryString,
+          cookies: [],
+          headersSize: -1,
+          bodySize: entry.requestBody ? entry.requestBody.length : 0,
+          ...(entry.requestBody ? {
+            postData: {
+              mimeType: entry.requestHeaders['Content-Type'] || 'multipart/form-data',
+              text: entry.requestBody,
+            },
+          } : {}),
+        },
+        response: {
+          status: entry.status ?? 0,
+          statusText: entry.statusText || entry.error?.message || '',
+          httpVersion: 'HTTP/1.1',
+          headers: toNameValue(entry.responseHeaders),
+          cookies: [],
+          content: {
+            size: entry.size ?? 0,
+            mimeType: entry.responseHeaders['content-type'] || 'application/json',
+            text: entry.responseBody || '',
+          },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: entry.size ?? -1,
+        },
+        cache: {},
+        timings: { send: 0, wait: entry.duration ?? 0, receive: 0 },
+        ...(entry.error ? { _error: entry.error } : {}),
+      };
+    });
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'Glotón Urbano', version: Constants.expoConfig?.version || '1.0.0' },
+        entries,
+      },
+    };
+  }
+
+  // ============================================================================
+  // SUBSCRIPTIONS
+  // ============================================================================
+
+  /**
+   * Subscribe to recorded entries
+   * @param {Function} listener - Called with the entries, newest first
+   * @returns {Function} Unsubscribe
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of the current entries
+   */
+  notify() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this.entries);
+      } catch (error) {
+        logger.error('Network inspector listener failed', error);
+      }
+    });
+  }
+}
+
+// Create and export a singleton instance
+const networkInspector = new NetworkInspector();
+
+export default networkInspector;
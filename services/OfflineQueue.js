@@ -0,0 +1,435 @@
+/**
+ * Offline Queue
+ * Persisted outbox for mutations that are safe to send later (endpoints
+ * defined with `queueable: true`). When such a call fails because the device
+ * is offline it is stored with an idempotency key and replayed in order once
+ * requests get through again. Entries the server rejects are kept as failed
+ * so the UI can show them and let the user retry or discard.
+ */
+
+import { AppState } from 'react-native';
+import apiService, { createIdempotencyKey } from './ApiService';
+import storageService from './StorageService';
+import connectivityService from './ConnectivityService';
+import config from './config';
+import { getEndpoint } from './endpoints';
+import { NetworkError, TimeoutError, AuthenticationError } from './ApiError';
+import { createLogger } from './Logger';
+
+const logger = createLogger('OfflineQueue');
+
+export const QUEUE_STATUS = {
+  pending: 'pending',
+  failed: 'failed',
+};
+
+/**
+ * Check whether an error means the request never reached the server
+ * @param {Error} error - Request error
+ * @returns {boolean} True for network failures and timeouts
+ */
+export const isOfflineError = (error) => error instanceof NetworkError || error instanceof TimeoutError;
+
+/**
+ * Check whether a replay failure is worth waiting out
+ * Authentication failures stop the replay too: the refresh interceptor has
+ * already had its chance, and logging out clears the queue.
+ * @param {Error} error - Request error
+ * @returns {boolean} True when the entry should stay pending
+ */
+const isTransientError = (error) => (
+  isOfflineError(error) || error?.isRetryable === true || error instanceof AuthenticationError
+);
+
+/**
+ * Plain, storable description of a failure
+ * @param {Error} error - Request error
+ * @returns {Object} Error summary
+ */
+const describeError = (error) => ({
+  name: error?.name || 'Error',
+  message: error?.message || 'Unknown error',
+  status: error?.status ?? null,
+  code: error?.code ?? null,
+  fieldErrors: error?.fieldErrors || null,
+});
+
+/**
+ * Public view of an entry; request bodies stay out of the UI
+ * @param {Object} entry - Queue entry
+ * @returns {Object} Entry summary
+ */
+const summarizeEntry = (entry) => ({
+  id: entry.id,
+  name: entry.name,
+  status: entry.status,
+  attempts: entry.attempts,
+  createdAt: entry.createdAt,
+  lastError: entry.lastError,
+});
+
+class OfflineQueue {
+  constructor() {
+    this.entries = [];
+    this.loadPromise = null;
+    this.replayPromise = null;
+    this.retryTimer = null;
+    this.appStateSubscription = null;
+    this.connectivitySubscription = null;
+    this.listeners = new Set();
+
+    // Any successful response means we are back online
+    apiService.addResponseInterceptor((response) => {
+      if (response.ok && !this.replayPromise && this.getPendingEntries().length > 0) {
+        this.replay();
+      }
+      return response;
+    });
+  }
+
+  /**
+   * Load the persisted queue, start replaying what is pending and listen for
+   * the app coming back to the foreground or the device reconnecting
+   */
+  async initialize() {
+    await this.load();
+
+    if (!this.appStateSubscription) {
+      this.appStateSubscription = AppState.addEventListener('change', (state) => {
+        if (state === 'active') {
+          this.replay();
+        }
+      });
+    }
+
+    if (!this.connectivitySubscription) {
+      this.connectivitySubscription = connectivityService.addListener((state, previous) => {
+        if (previous.isOffline && !state.isOffline) {
+          this.replay();
+        }
+      });
+    }
+
+    if (this.getPendingEntries().length > 0) {
+      this.replay();
+    }
+  }
+
+  /**
+   * Read the queue from storage once
+   * @returns {Promise<Array>} Queue entries
+   */
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = storageService.getOfflineQueue()
+        .then((entries) => {
+          // Keep anything queued before storage finished loading
+          this.entries = [...entries, ...this.entries];
+          this.notify();
+          return this.entries;
+        })
+        .catch((error) => {
+          logger.error('Failed to load offline queue', error);
+          return this.entries;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Write the queue to storage and notify subscribers
+   * @returns {Promise} Storage result
+   */
+  async persist() {
+    const result = await storageService.storeOfflineQueue(this.entries);
+    this.notify();
+    return result;
+  }
+
+  // ============================================================================
+  // QUEUEING
+  // ============================================================================
+
+  /**
+   * Call an endpoint, queueing the mutation if the device is offline
+   * Non-queueable endpoints are passed straight through. While older entries
+   * are still pending, new mutations queue behind them to keep their order.
+   * @param {string} name - Endpoint name
+   * @param {Object} [options] - params, query, body and headers
+   * @returns {Promise<Object>} API response, or a `queued: true` response
+   */
+  async execute(name, options = {}) {
+    if (!getEndpoint(name).queueable) {
+      return apiService.callEndpoint(name, options);
+    }
+
+    await this.load();
+    const idempotencyKey = createIdempotencyKey();
+
+    if (this.getPendingEntries().length > 0) {
+      const queued = await this.enqueue(name, options, idempotencyKey);
+      this.replay();
+      return queued;
+    }
+
+    try {
+      return await apiService.callEndpoint(name, {
+        ...options,
+        headers: { ...options.headers, 'Idempotency-Key': idempotencyKey },
+      });
+    } catch (error) {
+      if (!isOfflineError(error)) {
+        throw error;
+      }
+      return this.enqueue(name, options, idempotencyKey, error);
+    }
+  }
+
+  /**
+   * Add a mutation to the queue
+   * @param {string} name - Endpoint name
+   * @param {Object} options - params, query, body and headers
+   * @param {string} idempotencyKey - Key reused on every replay
+   * @param {Error} [error] - Failure that caused the queueing
+   * @returns {Promise<Object>} `queued: true` response
+   */
+  async enqueue(name, { params, query, body, headers } = {}, idempotencyKey = createIdempotencyKey(), error = null) {
+    const profile = await storageService.getUserProfile();
+
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      params: params || null,
+      query: query || null,
+      body: body ?? null,
+      headers: headers || null,
+      idempotencyKey,
+      userId: profile?.id ?? null,
+      status: QUEUE_STATUS.pending,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      lastError: error ? describeError(error) : null,
+    };
+
+    this.entries.push(entry);
+    await this.persist();
+    this.scheduleRetry();
+
+    logger.info('📥 Mutation queued for later', { name, id: entry.id });
+
+    return {
+      success: true,
+      queued: true,
+      message: 'Queued until the connection returns.',
+      data: { queue_id: entry.id, idempotency_key: idempotencyKey },
+    };
+  }
+
+  // ============================================================================
+  // REPLAY
+  // ============================================================================
+
+  /**
+   * Send pending entries in order; concurrent calls share one run
+   * @returns {Promise<Object>} { sent, failed, remaining }
+   */
+  replay() {
+    if (!this.replayPromise) {
+      this.replayPromise = this.drain()
+        .catch((error) => {
+          logger.error('Offline queue replay error', error);
+          return { sent: 0, failed: 0, remaining: this.getPendingEntries().length };
+        })
+        .finally(() => {
+          this.replayPromise = null;
+          this.notify();
+        });
+      this.notify();
+    }
+    return this.replayPromise;
+  }
+
+  /**
+   * Replay loop
+   * Stops at the first transient failure so later entries never overtake
+   * earlier ones; permanent failures are marked and skipped.
+   * @returns {Promise<Object>} { sent, failed, remaining }
+   */
+  async drain() {
+    await this.load();
+    this.clearRetryTimer();
+
+    let sent = 0;
+    let failed = 0;
+
+    // Every queueable endpoint needs a session
+    if (!apiService.isUserAuthenticated()) {
+      return { sent, failed, remaining: this.getPendingEntries().length };
+    }
+
+    const profile = await storageService.getUserProfile();
+
+    // Every pass removes the head entry or marks it failed, so entries queued
+    // mid-replay are picked up too
+    let entry;
+    while ((entry = this.getPendingEntries()[0])) {
+      // Never send one account's changes with another account's token
+      if (entry.userId && profile?.id && entry.userId !== profile.id) {
+        logger.warn('Dropping queued mutation from another account', { name: entry.name, id: entry.id });
+        this.entries = this.entries.filter(item => item.id !== entry.id);
+        await this.persist();
+        continue;
+      }
+
+      try {
+        await apiService.callEndpoint(entry.name, {
+          params: entry.params || undefined,
+          query: entry.query || undefined,
+          body: entry.body ?? undefined,
+          headers: { ...entry.headers, 'Idempotency-Key': entry.idempotencyKey },
+        });
+
+        this.entries = this.entries.filter(item => item.id !== entry.id);
+        await this.persist();
+        sent += 1;
+      } catch (error) {
+        entry.attempts += 1;
+        entry.lastError = describeError(error);
+
+        if (isTransientError(error) && entry.attempts < config.offlineQueue.maxAttempts) {
+          await this.persist();
+          this.scheduleRetry();
+          break;
+        }
+
+        entry.status = QUEUE_STATUS.failed;
+        await this.persist();
+        failed += 1;
+        logger.warn('❌ Queued mutation failed permanently', { name: entry.name, id: entry.id, error });
+      }
+    }
+
+    const remaining = this.getPendingEntries().length;
+    if (sent > 0 || failed > 0) {
+      logger.info('📤 Offline queue replayed', { sent, failed, remaining });
+    }
+    return { sent, failed, remaining };
+  }
+
+  /**
+   * Try again later while entries are pending
+   */
+  scheduleRetry() {
+    if (this.retryTimer || this.getPendingEntries().length === 0) return;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.replay();
+    }, config.offlineQueue.retryInterval);
+  }
+
+  /**
+   * Cancel a scheduled replay
+   */
+  clearRetryTimer() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  // ============================================================================
+  // MANAGEMENT
+  // ============================================================================
+
+  /**
+   * Put a failed entry back in line and replay
+   * @param {string} id - Entry id
+   * @returns {Promise<Object>} Replay result
+   */
+  async retry(id) {
+    await this.load();
+    const entry = this.entries.find(item => item.id === id);
+    if (!entry) return null;
+
+    entry.status = QUEUE_STATUS.pending;
+    entry.attempts = 0;
+    await this.persist();
+    return this.replay();
+  }
+
+  /**
+   * Drop an entry without sending it
+   * @param {string} id - Entry id
+   * @returns {Promise} Storage result
+   */
+  async discard(id) {
+    await this.load();
+    this.entries = this.entries.filter(item => item.id !== id);
+    return this.persist();
+  }
+
+  /**
+   * Drop every entry, e.g. on logout or when switching environments
+   * @returns {Promise} Removal result
+   */
+  async clear() {
+    await this.load();
+    this.clearRetryTimer();
+    this.entries = [];
+    const result = await storageService.removeOfflineQueue();
+    this.notify();
+    return result;
+  }
+
+  /**
+   * Entries waiting to be sent, oldest first
+   * @returns {Array<Object>} Pending entries
+   */
+  getPendingEntries() {
+    return this.entries.filter(entry => entry.status === QUEUE_STATUS.pending);
+  }
+
+  /**
+   * Snapshot of the queue for the UI
+   * @returns {Object} { pendingCount, failed, entries, isReplaying }
+   */
+  getStatus() {
+    const entries = this.entries.map(summarizeEntry);
+    return {
+      pendingCount: entries.filter(entry => entry.status === QUEUE_STATUS.pending).length,
+      failed: entries.filter(entry => entry.status === QUEUE_STATUS.failed),
+      entries,
+      isReplaying: !!this.replayPromise,
+    };
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} listener - Called with getStatus()
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of the current status
+   */
+  notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        logger.warn('Offline queue listener error', error);
+      }
+    });
+  }
+}
+
+// Create and export a singleton instance
+const offlineQueue = new OfflineQueue();
+
+export default offlineQueue;
@@ -0,0 +1,223 @@
+/**
+ * Paginator
+ * Walks the GU API's Laravel-style paginated lists
+ * ({ data: { [key]: [...] }, meta: { current_page, last_page, total, ... },
+ * links: { next, ... } }). Keeps the accumulated items and cursor for infinite
+ * scrolling, and supports `for await` iteration over items or pages.
+ */
+
+import { createLogger } from './Logger';
+
+const logger = createLogger('Paginator');
+
+const DEFAULT_PER_PAGE = 15;
+
+/**
+ * Normalize one page of a list response
+ * @param {Object} response - API response
+ * @param {string} dataKey - Key of the list inside response.data
+ * @param {number} requestedPage - Page that was asked for
+ * @returns {Object} { items, page, lastPage, perPage, total, hasNextPage, nextLink }
+ */
+export const parsePage = (response, dataKey, requestedPage) => {
+  const items = response?.data?.[dataKey] || [];
+  const meta = response?.meta || response?.data?.meta || {};
+  const links = response?.links || response?.data?.links || {};
+
+  const page = meta.current_page ?? requestedPage;
+  const lastPage = meta.last_page ?? null;
+  const hasNextPage = links.next !== undefined
+    ? !!links.next
+    : (lastPage !== null ? page < lastPage : items.length > 0);
+
+  return {
+    items,
+    page,
+    lastPage,
+    perPage: meta.per_page ?? null,
+    total: meta.total ?? null,
+    hasNextPage,
+    nextLink: links.next || null,
+  };
+};
+
+export class Paginator {
+  /**
+   * @param {Object} options - Paginator options
+   * @param {Function} options.fetchPage - Called with (query, options); resolves to a list response
+   * @param {string} options.dataKey - Key of the list inside response.data, e.g. 'properties'
+   * @param {Object} [options.query] - Filters sent with every page
+   * @param {number} [options.perPage] - Page size
+   */
+  constructor({ fetchPage, dataKey, query = {}, perPage = DEFAULT_PER_PAGE }) {
+    this.fetchPage = fetchPage;
+    this.dataKey = dataKey;
+    this.query = query;
+    this.perPage = perPage;
+    this.listeners = new Set();
+    this.reset();
+  }
+
+  /**
+   * Forget loaded pages and start over from page 1
+   */
+  reset() {
+    this.items = [];
+    this.currentPage = 0;
+    this.lastPage = null;
+    this.total = null;
+    this.hasNextPage = true;
+    this.nextLink = null;
+    this.error = null;
+    this.pending = null;
+    this.notify();
+  }
+
+  /**
+   * Request one page
+   * @param {number} page - Page number
+   * @param {Object} [options] - Request options, e.g. { cache: 'reload' }
+   * @returns {Promise<Object>} Parsed page (see parsePage)
+   */
+  async loadPage(page, options = {}) {
+    const response = await this.fetchPage(
+      { ...this.query, page, per_page: this.perPage },
+      options
+    );
+    return parsePage(response, this.dataKey, page);
+  }
+
+  /**
+   * Load the page after the last loaded one and append its items
+   * Concurrent calls (e.g. onEndReached firing twice) share one request.
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Array>} Items of the loaded page; empty when there is none
+   */
+  fetchNextPage(options = {}) {
+    if (this.pending) return this.pending;
+    if (!this.hasNextPage) return Promise.resolve([]);
+
+    const page = this.currentPage + 1;
+    this.error = null;
+
+    const pending = this.loadPage(page, options)
+      .then((result) => {
+        // A reset while loading makes this page stale
+        if (this.pending !== pending) return [];
+
+        this.items = [...this.items, ...result.items];
+        this.currentPage = result.page;
+        this.lastPage = result.lastPage;
+        this.total = result.total;
+        this.hasNextPage = result.hasNextPage;
+        this.nextLink = result.nextLink;
+        return result.items;
+      })
+      .catch((error) => {
+        if (this.pending === pending) {
+          this.error = error;
+          logger.warn('Failed to load page', { dataKey: this.dataKey, page, error });
+        }
+        throw error;
+      })
+      .finally(() => {
+        if (this.pending === pending) {
+          this.pending = null;
+          this.notify();
+        }
+      });
+
+    this.pending = pending;
+    this.notify();
+    return pending;
+  }
+
+  /**
+   * Reload from page 1, e.g. for pull-to-refresh
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Array>} Items of the first page
+   */
+  refresh(options = {}) {
+    this.reset();
+    return this.fetchNextPage({ ...options, cache: 'reload' });
+  }
+
+  /**
+   * Change the filters and start over
+   * @param {Object} query - New filters
+   * @returns {Promise<Array>} Items of the first page
+   */
+  setQuery(query) {
+    this.query = query;
+    this.reset();
+    return this.fetchNextPage();
+  }
+
+  /**
+   * Snapshot for the UI
+   * @returns {Object} Items, totals and cursor state
+   */
+  getState() {
+    return {
+      items: this.items,
+      total: this.total,
+      currentPage: this.currentPage,
+      lastPage: this.lastPage,
+      perPage: this.perPage,
+      hasNextPage: this.hasNextPage,
+      isLoading: !!this.pending,
+      error: this.error,
+      cursor: { page: this.currentPage + 1, next: this.nextLink },
+    };
+  }
+
+  /**
+   * Walk every page from the first, independently of the loaded state
+   * @returns {AsyncGenerator<Array>} Items of each page
+   */
+  async *pages() {
+    for (let page = 1; ; page++) {
+      const result = await this.loadPage(page);
+      yield result.items;
+      if (!result.hasNextPage || result.items.length === 0) return;
+    }
+  }
+
+  /**
+   * Iterate items across all pages: `for await (const item of paginator)`
+   * @returns {AsyncGenerator<Object>} Items
+   */
+  async *[Symbol.asyncIterator]() {
+    for await (const items of this.pages()) {
+      yield* items;
+    }
+  }
+
+  /**
+   * Subscribe to state changes
+   * @param {Function} listener - Called with getState()
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of the current state
+   */
+  notify() {
+    if (this.listeners.size === 0) return;
+
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        logger.warn('Paginator listener error', error);
+      }
+    });
+  }
+}
+
+export default Paginator;
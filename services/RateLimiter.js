@@ -0,0 +1,203 @@
+/**
+ * Rate Limiter
+ * Token-bucket limiter enforcing config.rateLimits on the client so bursts are
+ * queued locally instead of being rejected by the server with 429.
+ */
+
+import config from './config';
+import { CancelError } from './ApiError';
+
+// Role level from which requests count against the admin budget (sector admins and up)
+const ADMIN_ROLE_LEVEL = 3;
+
+// Pause applied after a 429 that came without a Retry-After header
+const DEFAULT_RETRY_AFTER = 1000;
+
+class TokenBucket {
+  /**
+   * @param {number} perMinute - Requests allowed per minute
+   */
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.tokens = perMinute;
+    this.refillRate = perMinute / 60000; // tokens per millisecond
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillRate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a token
+   * A waiter whose signal aborts leaves the queue without taking a token.
+   * @param {AbortSignal} [signal] - Caller's cancellation signal
+   * @param {Function} [createCancelError] - Builds the rejection on abort
+   * @returns {Promise} Resolves when the request may be sent
+   */
+  acquire(signal, createCancelError = () => new CancelError('Request canceled')) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createCancelError());
+        return;
+      }
+
+      const onAbort = () => {
+        const index = this.queue.indexOf(waiter);
+        if (index !== -1) this.queue.splice(index, 1);
+        reject(createCancelError());
+      };
+      const waiter = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+
+      signal?.addEventListener('abort', onAbort);
+      this.queue.push(waiter);
+      this.drain();
+    });
+  }
+
+  /**
+   * Release queued requests while tokens are available
+   */
+  drain() {
+    if (this.timer) return;
+
+    while (this.queue.length > 0) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        this.schedule(this.pausedUntil - now);
+        return;
+      }
+
+      this.refill();
+      if (this.tokens < 1) {
+        this.schedule(Math.ceil((1 - this.tokens) / this.refillRate));
+        return;
+      }
+
+      this.tokens -= 1;
+      const release = this.queue.shift();
+      release();
+    }
+  }
+
+  /**
+   * Try draining again after a delay
+   * @param {number} delay - Delay in milliseconds
+   */
+  schedule(delay) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, delay);
+  }
+
+  /**
+   * Stop releasing requests until the delay expires
+   * @param {number} delay - Delay in milliseconds
+   */
+  pause(delay) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.drain();
+  }
+
+  /**
+   * Get the bucket state
+   * @returns {Object} Bucket status
+   */
+  getStatus() {
+    this.refill();
+    return {
+      limit: this.capacity,
+      available: Math.floor(this.tokens),
+      queued: this.queue.length,
+      pausedFor: Math.max(0, this.pausedUntil - Date.now()),
+    };
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} limits - Requests per minute keyed by tier
+   */
+  constructor(limits) {
+    this.buckets = {};
+    Object.entries(limits).forEach(([tier, perMinute]) => {
+      this.buckets[tier] = new TokenBucket(perMinute);
+    });
+  }
+
+  /**
+   * Pick the budget a request counts against
+   * @param {boolean} requireAuth - Whether the request is authenticated
+   * @param {number} roleLevel - Highest role level of the current user
+   * @returns {string} Tier name (public, authenticated, admin)
+   */
+  getTier(requireAuth, roleLevel = 1) {
+    if (!requireAuth) return 'public';
+    if (roleLevel >= ADMIN_ROLE_LEVEL) return 'admin';
+    return 'authenticated';
+  }
+
+  /**
+   * Wait until the tier has budget for one more request
+   * @param {string} tier - Tier name
+   * @param {Object} [options] - Wait options
+   * @param {AbortSignal} [options.signal] - Aborting drops the request from the queue
+   * @param {Object} [options.request] - Request metadata for the CancelError
+   * @returns {Promise} Resolves when the request may be sent; rejects with
+   *   CancelError if the signal aborts first
+   */
+  async acquire(tier, { signal, request = null } = {}) {
+    const bucket = this.buckets[tier];
+    if (!bucket) return;
+    await bucket.acquire(signal, () => new CancelError('Request canceled', { request }));
+  }
+
+  /**
+   * Pause a tier after the server answered 429
+   * @param {string} tier - Tier name
+   * @param {number|null} retryAfter - Delay in milliseconds from Retry-After
+   */
+  pause(tier, retryAfter) {
+    const bucket = this.buckets[tier];
+    if (!bucket) return;
+    bucket.pause(retryAfter ?? DEFAULT_RETRY_AFTER);
+  }
+
+  /**
+   * Get the state of every tier
+   * @returns {Object} Status keyed by tier
+   */
+  getStatus() {
+    const status = {};
+    Object.entries(this.buckets).forEach(([tier, bucket]) => {
+      status[tier] = bucket.getStatus();
+    });
+    return status;
+  }
+}
+
+// Create and export a singleton instance
+const rateLimiter = new RateLimiter(config.rateLimits);
+
+export { RateLimiter };
+export default rateLimiter;
@@ -0,0 +1,252 @@
+/**
+ * Response Cache
+ * In-memory HTTP cache for GET endpoints, keyed by endpoint name and resolved
+ * path (which includes the query). Entries keep their ETag / Last-Modified
+ * validators so revalidation is a conditional request, honor Cache-Control,
+ * and are served stale while a background revalidation runs.
+ */
+
+import { createLogger } from './Logger';
+
+const logger = createLogger('ResponseCache');
+
+/**
+ * Read a header from a fetch Headers object or a plain object
+ * @param {Headers|Object} headers - Response headers
+ * @param {string} name - Header name
+ * @returns {string|null} Header value
+ */
+const getHeader = (headers, name) => {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+  return match ? headers[match] : null;
+};
+
+/**
+ * Parse a Cache-Control header
+ * @param {string|null} header - Cache-Control value
+ * @returns {Object} { noStore, noCache, maxAge, staleWhileRevalidate } (ages in ms)
+ */
+export const parseCacheControl = (header) => {
+  const directives = {
+    noStore: false,
+    noCache: false,
+    maxAge: null,
+    staleWhileRevalidate: null,
+  };
+
+  if (!header) return directives;
+
+  header.split(',').forEach((part) => {
+    const [rawName, rawValue] = part.trim().split('=');
+    const name = rawName.toLowerCase();
+    const seconds = Number.parseInt(rawValue, 10);
+
+    if (name === 'no-store') directives.noStore = true;
+    if (name === 'no-cache') directives.noCache = true;
+    if (name === 'max-age' && Number.isFinite(seconds)) directives.maxAge = seconds * 1000;
+    if (name === 'stale-while-revalidate' && Number.isFinite(seconds)) {
+      directives.staleWhileRevalidate = seconds * 1000;
+    }
+  });
+
+  return directives;
+};
+
+export class ResponseCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.maxEntries] - Oldest entries are evicted past this size
+   * @param {number} [options.staleWhileRevalidate] - Default stale window in ms
+   */
+  constructor({ maxEntries = 100, staleWhileRevalidate = 0 } = {}) {
+    this.maxEntries = maxEntries;
+    this.staleWhileRevalidate = staleWhileRevalidate;
+    this.entries = new Map();
+    this.revalidations = new Map();
+    // Bumped on invalidation so requests already in flight never refill the cache
+    this.generation = 0;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Serve a response from the cache, revalidating as needed
+   * - fresh: returned as is
+   * - stale, inside the stale-while-revalidate window: returned immediately
+   *   while a conditional request refreshes it in the background
+   * - otherwise: a conditional request is awaited
+   * @param {string} key - Cache key
+   * @param {Object} policy - { ttl } default freshness in ms
+   * @param {Function} fetcher - Called with validator headers; resolves to
+   *   { status, headers, data }
+   * @returns {Promise<any>} Response data
+   */
+  async fetch(key, { ttl }, fetcher) {
+    const entry = this.entries.get(key);
+    const now = Date.now();
+
+    if (entry && now < entry.expiresAt) {
+      return entry.data;
+    }
+
+    if (entry && now < entry.staleUntil) {
+      this.revalidate(key, { ttl }, fetcher).catch((error) => {
+        logger.warn('Background revalidation failed', { key, error });
+      });
+      return entry.data;
+    }
+
+    return this.revalidate(key, { ttl }, fetcher);
+  }
+
+  /**
+   * Fetch with the entry's validators and store the result
+   * Concurrent revalidations of the same key share one request.
+   * @param {string} key - Cache key
+   * @param {Object} policy - { ttl }
+   * @param {Function} fetcher - See fetch()
+   * @returns {Promise<any>} Response data
+   */
+  revalidate(key, policy, fetcher) {
+    if (this.revalidations.has(key)) {
+      return this.revalidations.get(key);
+    }
+
+    const entry = this.entries.get(key);
+    const generation = this.generation;
+    const validators = {};
+    if (entry?.etag) validators['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) validators['If-Modified-Since'] = entry.lastModified;
+
+    const promise = Promise.resolve()
+      .then(() => fetcher(validators))
+      .then((response) => {
+        const current = generation === this.generation;
+
+        if (response.status === 304 && entry) {
+          if (current) this.store(key, entry.data, response.headers, policy, entry);
+          logger.debug('♻️ Not modified', { key });
+          return entry.data;
+        }
+
+        if (current) this.store(key, response.data, response.headers, policy);
+        return response.data;
+      })
+      .finally(() => {
+        if (this.revalidations.get(key) === promise) {
+          this.revalidations.delete(key);
+        }
+      });
+
+    this.revalidations.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Store a response according to its Cache-Control header
+   * @param {string} key - Cache key
+   * @param {any} data - Response data
+   * @param {Headers|Object} headers - Response headers
+   * @param {Object} policy - { ttl }
+   * @param {Object} [previous] - Entry being refreshed by a 304
+   */
+  store(key, data, headers, { ttl }, previous = null) {
+    const cacheControl = parseCacheControl(getHeader(headers, 'Cache-Control'));
+
+    if (cacheControl.noStore) {
+      this.entries.delete(key);
+      return;
+    }
+
+    const now = Date.now();
+    const freshFor = cacheControl.noCache ? 0 : (cacheControl.maxAge ?? ttl);
+    // no-cache means every use must be revalidated first, so nothing is served stale
+    const staleFor = cacheControl.noCache
+      ? 0
+      : (cacheControl.staleWhileRevalidate ?? this.staleWhileRevalidate);
+
+    // Re-insert so Map order tracks recency for eviction
+    this.entries.delete(key);
+    this.entries.set(key, {
+      data,
+      etag: getHeader(headers, 'ETag') || previous?.etag || null,
+      lastModified: getHeader(headers, 'Last-Modified') || previous?.lastModified || null,
+      storedAt: now,
+      expiresAt: now + freshFor,
+      staleUntil: now + freshFor + staleFor,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    if (data !== previous?.data) {
+      this.notify(key, data);
+    }
+  }
+
+  /**
+   * Get cached data without touching the network
+   * @param {string} key - Cache key
+   * @returns {any} Cached data or undefined
+   */
+  peek(key) {
+    return this.entries.get(key)?.data;
+  }
+
+  /**
+   * Drop entries whose key starts with any of the given prefixes
+   * @param {string|Array<string>} [prefixes] - Key prefixes; omit to drop everything
+   */
+  invalidate(prefixes) {
+    if (prefixes === undefined) {
+      this.clear();
+      return;
+    }
+
+    const list = Array.isArray(prefixes) ? prefixes : [prefixes];
+    const matches = (key) => list.some(prefix => key.startsWith(prefix));
+
+    Array.from(this.entries.keys()).filter(matches).forEach(key => this.entries.delete(key));
+    Array.from(this.revalidations.keys()).filter(matches).forEach(key => this.revalidations.delete(key));
+    this.generation += 1;
+  }
+
+  /**
+   * Drop every entry
+   */
+  clear() {
+    this.entries.clear();
+    this.revalidations.clear();
+    this.generation += 1;
+  }
+
+  /**
+   * Subscribe to cache updates, e.g. data replaced by a background revalidation
+   * @param {Function} listener - Called with (key, data)
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of new data for a key
+   * @param {string} key - Cache key
+   * @param {any} data - New data
+   */
+  notify(key, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(key, data);
+      } catch (error) {
+        logger.warn('Response cache listener error', error);
+      }
+    });
+  }
+}
+
+export default ResponseCache;
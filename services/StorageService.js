@@ -1,8 +1,30 @@
 /**
  * Storage Service
- * Simple in-memory storage for development
+ * Key-value storage for sessions, settings and queued work. Values are
+ * serialized as JSON and written through pluggable adapters (see
+ * storageAdapters.js): credentials go to expo-secure-store, everything else
+ * to AsyncStorage, so data survives restarts.
+ *
+ * Fallback policy: if a persistent backend fails, the service switches that
+ * backend to an in-memory Map for the rest of the session rather than
+ * failing every call. Credentials are never moved to AsyncStorage; without
+ * a working secure store they live in memory only and the user signs in
+ * again after a restart.
  */
 
+import {
+  createAsyncStorageAdapter,
+  createMemoryAdapter,
+  createSecureStoreAdapter,
+} from './storageAdapters';
+import { STORAGE_MIGRATIONS } from './storageMigrations';
+import { createLogger } from './Logger';
+
+const logger = createLogger('StorageService');
+
+// Every key this app writes starts with this
+const KEY_PREFIX = 'gu_';
+
 class StorageService {
   constructor() {
     this.keys = {
@@ -13,67 +35,303 @@ class StorageService {
       userRoles: 'gu_user_roles',
       userPermissions: 'gu_user_permissions',
       appSettings: 'gu_app_settings',
+      environment: 'gu_environment',
+      offlineQueue: 'gu_offline_queue',
+      installId: 'gu_install_id',
+      schemaVersion: 'gu_schema_version',
+      migrationJournal: 'gu_migration_journal',
     };
-    
-    // In-memory storage
-    this.memoryStorage = new Map();
+
+    // Routed to the secure backend
+    this.secureKeys = [this.keys.authToken, this.keys.refreshToken, this.keys.tokenExpiry];
+
+    // Used when the persistent backend of the same kind fails
+    this.memoryAdapters = {
+      general: createMemoryAdapter(),
+      secure: createMemoryAdapter(),
+    };
+    // fallbackReason says why a persistent backend was abandoned, if it was
+    this.backends = {
+      general: { adapter: createAsyncStorageAdapter(), fallbackReason: null },
+      secure: { adapter: createSecureStoreAdapter(this.secureKeys), fallbackReason: null },
+    };
+    this.initPromise = null;
+  }
+
+  // ============================================================================
+  // BACKEND
+  // ============================================================================
+
+  /**
+   * Replace a storage backend
+   * @param {Object} adapter - Storage adapter (see storageAdapters.js)
+   * @param {string} [kind] - 'general' or 'secure'
+   */
+  setAdapter(adapter, kind = 'general') {
+    this.backends[kind] = { adapter, fallbackReason: null };
   }
 
   /**
-   * Store a value in memory
+   * Get the active storage backends
+   * @returns {Object} { backend, persistent, fallbackReason, secureBackend,
+   *   secureFallbackReason }
+   */
+  getBackend() {
+    const { general, secure } = this.backends;
+    return {
+      backend: general.adapter.name,
+      persistent: general.adapter.persistent,
+      fallbackReason: general.fallbackReason,
+      secureBackend: secure.adapter.name,
+      secureFallbackReason: secure.fallbackReason,
+    };
+  }
+
+  /**
+   * Which backend holds a key
    * @param {string} key - Storage key
-   * @param {any} value - Value to store
-   * @returns {Promise} Storage result
+   * @returns {string} 'general' or 'secure'
+   */
+  backendFor(key) {
+    return this.secureKeys.includes(key) ? 'secure' : 'general';
+  }
+
+  /**
+   * Run an adapter operation, switching to memory if the backend fails
+   * @param {string} kind - 'general' or 'secure'
+   * @param {string} operation - Adapter method name
+   * @param {...any} args - Method arguments
+   * @returns {Promise<any>} Operation result
+   */
+  async run(kind, operation, ...args) {
+    const backend = this.backends[kind];
+    const fallback = this.memoryAdapters[kind];
+    try {
+      return await backend.adapter[operation](...args);
+    } catch (error) {
+      if (backend.adapter === fallback) {
+        throw error;
+      }
+
+      logger.warn(`⚠️ ${backend.adapter.name} failed, falling back to in-memory storage`, error);
+      this.backends[kind] = {
+        adapter: fallback,
+        fallbackReason: error.message || String(error),
+      };
+      return fallback[operation](...args);
+    }
+  }
+
+  // ============================================================================
+  // SCHEMA MIGRATIONS
+  // ============================================================================
+
+  /**
+   * Prepare storage before the first read; runs once
+   * Brings stored data up to the current schema version (see
+   * storageMigrations.js).
+   * @returns {Promise<Object>} migrate() result
+   */
+  initialize() {
+    if (!this.initPromise) {
+      this.initPromise = this.migrate();
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Get the schema version of the stored data
+   * @returns {Promise<number>} Version; 0 before any migration has run
+   */
+  async getSchemaVersion() {
+    return (await this.getItem(this.keys.schemaVersion)) || 0;
+  }
+
+  /**
+   * Run every migration newer than the stored schema version, in order
+   * Each migration's writes are collected first, then saved as a journal in
+   * one write, applied, and the journal deleted. A crash before the journal
+   * write leaves the old data and the migration runs again; a crash after it
+   * is finished from the journal on the next start. A migration that throws
+   * stops the run at the previous version, to be retried on the next start.
+   * @param {Array<Object>} [migrations] - { version, description, up(tx) }
+   * @returns {Promise<Object>} { from, to, applied, error }
+   */
+  async migrate(migrations = STORAGE_MIGRATIONS) {
+    try {
+      await this.resumeMigration();
+    } catch (error) {
+      logger.error('Resuming storage migration failed', error);
+      return { from: null, to: null, applied: [], error };
+    }
+
+    const from = await this.getSchemaVersion();
+    const pending = migrations
+      .filter(migration => migration.version > from)
+      .sort((a, b) => a.version - b.version);
+    const result = { from, to: from, applied: [], error: null };
+
+    for (const migration of pending) {
+      try {
+        const changes = await this.collectChanges(migration);
+        await this.commitMigration({ version: migration.version, changes });
+      } catch (error) {
+        logger.error(`Storage migration ${migration.version} failed`, error);
+        result.error = error;
+        break;
+      }
+
+      logger.info(`🗄️ Storage migrated to version ${migration.version}`, {
+        description: migration.description,
+      });
+      result.to = migration.version;
+      result.applied.push(migration.version);
+    }
+
+    return result;
+  }
+
+  /**
+   * Run a migration against a transaction and return its writes
+   * @param {Object} migration - Migration
+   * @returns {Promise<Array<Object>>} Changes { kind, key, value }, value null to remove
+   */
+  async collectChanges(migration) {
+    const changes = new Map();
+    const kindOf = (key, kind) => kind || this.backendFor(key);
+    const stage = (key, kind, value) => {
+      changes.set(`${kindOf(key, kind)}:${key}`, { kind: kindOf(key, kind), key, value });
+    };
+
+    const tx = {
+      keys: { ...this.keys },
+      get: async (key, kind) => {
+        const staged = changes.get(`${kindOf(key, kind)}:${key}`);
+        const raw = staged ? staged.value : await this.run(kindOf(key, kind), 'getItem', key);
+        if (raw === null || raw === undefined) return null;
+        try {
+          return JSON.parse(raw);
+        } catch (error) {
+          return raw;
+        }
+      },
+      set: (key, value, kind) => stage(key, kind, JSON.stringify(value ?? null)),
+      remove: (key, kind) => stage(key, kind, null),
+    };
+
+    await migration.up(tx);
+    return Array.from(changes.values());
+  }
+
+  /**
+   * Journal a migration's changes, apply them and record the new version
+   * The journal sits in the general backend; migrations should only stage
+   * credential values that were already readable there.
+   * @param {Object} journal - { version, changes }
+   */
+  async commitMigration(journal) {
+    await this.run('general', 'setItem', this.keys.migrationJournal, JSON.stringify(journal));
+    await this.applyJournal(journal);
+  }
+
+  /**
+   * Finish a migration interrupted after its journal was written
+   */
+  async resumeMigration() {
+    const raw = await this.run('general', 'getItem', this.keys.migrationJournal);
+    if (!raw) return;
+
+    const journal = JSON.parse(raw);
+    logger.warn(`⚠️ Resuming interrupted storage migration ${journal.version}`);
+    await this.applyJournal(journal);
+  }
+
+  async applyJournal({ version, changes }) {
+    for (const { kind, key, value } of changes) {
+      if (value === null) {
+        await this.run(kind, 'removeItem', key);
+      } else {
+        await this.run(kind, 'setItem', key, value);
+      }
+    }
+    await this.run('general', 'setItem', this.keys.schemaVersion, JSON.stringify(version));
+    await this.run('general', 'removeItem', this.keys.migrationJournal);
+  }
+
+  // ============================================================================
+  // BASIC OPERATIONS
+  // ============================================================================
+
+  /**
+   * Store a value
+   * @param {string} key - Storage key
+   * @param {any} value - Value to store (serialized as JSON)
+   * @returns {Promise<boolean>} Storage result
    */
   async setItem(key, value) {
     try {
-      this.memoryStorage.set(key, value);
+      await this.run(this.backendFor(key), 'setItem', key, JSON.stringify(value ?? null));
       return true;
     } catch (error) {
-      console.error('Storage setItem error:', error);
+      logger.error('Storage setItem error', error);
       return false;
     }
   }
 
   /**
-   * Retrieve a value from memory
+   * Retrieve a value
    * @param {string} key - Storage key
-   * @returns {Promise<any>} Stored value
+   * @returns {Promise<any>} Stored value, or null if missing
    */
   async getItem(key) {
     try {
-      return this.memoryStorage.get(key) || null;
+      const raw = await this.run(this.backendFor(key), 'getItem', key);
+      if (raw === null || raw === undefined) return null;
+
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        // Written by something other than this service
+        return raw;
+      }
     } catch (error) {
-      console.error('Storage getItem error:', error);
+      logger.error('Storage getItem error', error);
       return null;
     }
   }
 
   /**
-   * Remove a value from memory
+   * Remove a value
    * @param {string} key - Storage key
-   * @returns {Promise} Removal result
+   * @returns {Promise<boolean>} Removal result
    */
   async removeItem(key) {
     try {
-      this.memoryStorage.delete(key);
+      await this.run(this.backendFor(key), 'removeItem', key);
       return true;
     } catch (error) {
-      console.error('Storage removeItem error:', error);
+      logger.error('Storage removeItem error', error);
       return false;
     }
   }
 
   /**
-   * Clear all stored data
-   * @returns {Promise} Clear result
+   * Clear all data stored by this app
+   * Only keys with the app prefix are removed; other libraries' AsyncStorage
+   * entries are left alone.
+   * @returns {Promise<boolean>} Clear result
    */
   async clear() {
     try {
-      this.memoryStorage.clear();
+      for (const kind of ['general', 'secure']) {
+        const keys = (await this.run(kind, 'getAllKeys')).filter(key => key.startsWith(KEY_PREFIX));
+        if (keys.length > 0) {
+          await this.run(kind, 'multiRemove', keys);
+        }
+      }
       return true;
     } catch (error) {
-      console.error('Storage clear error:', error);
+      logger.error('Storage clear error', error);
       return false;
     }
   }
@@ -151,6 +409,14 @@ class StorageService {
     return expiry ? new Date(expiry) : null;
   }
 
+  /**
+   * Remove stored token expiry time
+   * @returns {Promise} Removal result
+   */
+  async removeTokenExpiry() {
+    return this.removeItem(this.keys.tokenExpiry);
+  }
+
   /**
    * Check if token is expired
    * @returns {Promise<boolean>} Token expiry status
@@ -273,6 +539,85 @@ class StorageService {
     return this.storeAppSettings(settings);
   }
 
+  // ============================================================================
+  // ENVIRONMENT STORAGE
+  // ============================================================================
+
+  /**
+   * Store the environment override
+   * @param {Object} override - Environment name and setting overrides
+   * @returns {Promise} Storage result
+   */
+  async storeEnvironmentOverride(override) {
+    return this.setItem(this.keys.environment, override);
+  }
+
+  /**
+   * Get the stored environment override
+   * @returns {Promise<Object|null>} Environment override
+   */
+  async getEnvironmentOverride() {
+    return this.getItem(this.keys.environment);
+  }
+
+  /**
+   * Remove the stored environment override
+   * @returns {Promise} Removal result
+   */
+  async removeEnvironmentOverride() {
+    return this.removeItem(this.keys.environment);
+  }
+
+  // ============================================================================
+  // OFFLINE QUEUE STORAGE
+  // ============================================================================
+
+  /**
+   * Store the offline mutation queue
+   * @param {Array} entries - Queued mutations, oldest first
+   * @returns {Promise} Storage result
+   */
+  async storeOfflineQueue(entries) {
+    return this.setItem(this.keys.offlineQueue, entries);
+  }
+
+  /**
+   * Get the stored offline mutation queue
+   * @returns {Promise<Array>} Queued mutations
+   */
+  async getOfflineQueue() {
+    return (await this.getItem(this.keys.offlineQueue)) || [];
+  }
+
+  /**
+   * Remove the stored offline mutation queue
+   * @returns {Promise} Removal result
+   */
+  async removeOfflineQueue() {
+    return this.removeItem(this.keys.offlineQueue);
+  }
+
+  // ============================================================================
+  // DEVICE STORAGE
+  // ============================================================================
+
+  /**
+   * Store the install ID (kept across logins)
+   * @param {string} installId - Install ID
+   * @returns {Promise} Storage result
+   */
+  async storeInstallId(installId) {
+    return this.setItem(this.keys.installId, installId);
+  }
+
+  /**
+   * Get the stored install ID
+   * @returns {Promise<string|null>} Install ID
+   */
+  async getInstallId() {
+    return this.getItem(this.keys.installId);
+  }
+
   // ============================================================================
   // UTILITY METHODS
   // ============================================================================
@@ -295,53 +640,62 @@ class StorageService {
       await Promise.all(promises);
       return true;
     } catch (error) {
-      console.error('Clear auth data error:', error);
+      logger.error('Clear auth data error', error);
       return false;
     }
   }
 
   /**
    * Get storage information
-   * @returns {Promise<Object>} Storage info
+   * @returns {Promise<Object|null>} getBackend() plus { totalKeys, appKeys,
+   *   otherKeys, secureKeys, secureStoreAvailable }
    */
   async getStorageInfo() {
     try {
-      // For in-memory storage, we can easily get all keys
-      const allKeys = Array.from(this.memoryStorage.keys());
-      const info = {
-        totalKeys: allKeys.length,
-        authKeys: Object.values(this.keys).filter(key => allKeys.includes(key)).length,
-        otherKeys: allKeys.length - Object.values(this.keys).filter(key => allKeys.includes(key)).length,
-        secureStoreAvailable: false, // In-memory storage is not secure
+      const allKeys = await this.run('general', 'getAllKeys');
+      const secureKeys = await this.run('secure', 'getAllKeys');
+      const knownKeys = Object.values(this.keys);
+      const appKeys = allKeys.filter(key => knownKeys.includes(key)).length;
+      const backend = this.getBackend();
+
+      return {
+        ...backend,
+        totalKeys: allKeys.length + secureKeys.length,
+        appKeys: appKeys + secureKeys.length,
+        otherKeys: allKeys.length - appKeys,
+        secureKeys: secureKeys.length,
+        secureStoreAvailable: backend.secureBackend === 'secureStore',
       };
-      return info;
     } catch (error) {
-      console.error('Get storage info error:', error);
+      logger.error('Get storage info error', error);
       return null;
     }
   }
 
   /**
-   * Check if storage is working
-   * @returns {Promise<boolean>} Storage availability
+   * Check that values round-trip through both backends
+   * A failing persistent backend is swapped for memory during the check, so
+   * the result says which backends the app will actually be using.
+   * @returns {Promise<Object>} getBackend() plus { working, secureWorking }
    */
   async isStorageWorking() {
-    try {
-      const testKey = 'storage_test_key';
+    const roundTrip = async (kind) => {
+      const testKey = 'gu_storage_test';
       const testValue = 'test_value';
-      
-      const setResult = await this.setItem(testKey, testValue);
-      if (!setResult) return false;
-      
-      const retrievedValue = await this.getItem(testKey);
-      if (retrievedValue !== testValue) return false;
-      
-      const removeResult = await this.removeItem(testKey);
-      return removeResult;
-    } catch (error) {
-      console.error('Storage test failed:', error);
-      return false;
-    }
+      try {
+        await this.run(kind, 'setItem', testKey, testValue);
+        const retrieved = await this.run(kind, 'getItem', testKey);
+        await this.run(kind, 'removeItem', testKey);
+        return retrieved === testValue;
+      } catch (error) {
+        logger.error('Storage test failed', { kind, error });
+        return false;
+      }
+    };
+
+    const working = await roundTrip('general');
+    const secureWorking = await roundTrip('secure');
+    return { working, secureWorking, ...this.getBackend() };
   }
 }
 
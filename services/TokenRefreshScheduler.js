@@ -0,0 +1,150 @@
+/**
+ * Token Refresh Scheduler
+ * Refreshes the access token `config.auth.refreshMargin` before it expires so
+ * requests don't hit a 401 first. The timer only runs while the app is in the
+ * foreground; on resume an overdue refresh runs right away.
+ */
+
+import { AppState } from 'react-native';
+import config from './config';
+import { createLogger } from './Logger';
+
+const logger = createLogger('TokenRefreshScheduler');
+
+// setTimeout overflows past ~24.8 days
+const MAX_TIMER_DELAY = 2147483647;
+
+export class TokenRefreshScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.refresh - Refreshes the token; expected to be single-flight
+   * @param {number} [options.margin] - Refresh this many ms before expiry
+   * @param {number} [options.retryInterval] - Wait before retrying a failed refresh
+   */
+  constructor({
+    refresh,
+    margin = config.auth.refreshMargin,
+    retryInterval = config.auth.refreshRetryInterval,
+  }) {
+    this.refresh = refresh;
+    this.margin = margin;
+    this.retryInterval = retryInterval;
+    this.expiresAt = null;
+    this.timer = null;
+    this.isActive = AppState.currentState !== 'background';
+    this.appStateSubscription = null;
+  }
+
+  /**
+   * Follow the app lifecycle: pause in the background, catch up on resume
+   */
+  start() {
+    if (this.appStateSubscription) return;
+
+    this.appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        this.resume();
+      } else if (state === 'background') {
+        this.pause();
+      }
+    });
+  }
+
+  /**
+   * Stop following the app lifecycle and drop the timer
+   */
+  stop() {
+    this.appStateSubscription?.remove();
+    this.appStateSubscription = null;
+    this.clearTimer();
+  }
+
+  /**
+   * Plan the next refresh for a token
+   * @param {Date|null} expiry - Token expiry; null cancels
+   */
+  schedule(expiry) {
+    this.expiresAt = expiry ? new Date(expiry).getTime() : null;
+    this.arm();
+  }
+
+  /**
+   * Forget the token, e.g. after logout
+   */
+  cancel() {
+    this.schedule(null);
+  }
+
+  /**
+   * Whether the token is expired or inside the refresh margin
+   * @returns {boolean} Refresh due status
+   */
+  isDue() {
+    return this.expiresAt !== null && Date.now() >= this.expiresAt - this.margin;
+  }
+
+  /**
+   * App went to the background: no timers while suspended
+   */
+  pause() {
+    this.isActive = false;
+    this.clearTimer();
+  }
+
+  /**
+   * App came back: refresh now if the token went stale meanwhile
+   */
+  resume() {
+    this.isActive = true;
+    this.arm();
+  }
+
+  /**
+   * Set the timer for the current expiry
+   * @param {number} [delay] - Override the computed delay
+   */
+  arm(delay) {
+    this.clearTimer();
+    if (!this.isActive || this.expiresAt === null) return;
+
+    const wait = delay ?? Math.max(0, this.expiresAt - this.margin - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.run();
+    }, Math.min(wait, MAX_TIMER_DELAY));
+  }
+
+  /**
+   * Refresh if due; a successful refresh reschedules through schedule()
+   */
+  async run() {
+    if (!this.isDue()) {
+      this.arm();
+      return;
+    }
+
+    const expiresAt = this.expiresAt;
+    try {
+      logger.debug('⏰ Refreshing token before expiry');
+      await this.refresh();
+    } catch (error) {
+      logger.warn('Scheduled token refresh failed', error);
+      // Still the same session (not rescheduled or canceled meanwhile): try again later
+      if (this.expiresAt === expiresAt) {
+        this.arm(this.retryInterval);
+      }
+    }
+  }
+
+  /**
+   * Cancel the pending timer
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default TokenRefreshScheduler;
@@ -0,0 +1,147 @@
+import { createMemoryAdapter } from '../storageAdapters';
+import { STORAGE_SCHEMA_VERSION } from '../storageMigrations';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+// A fresh service on the given backends, as on an app start
+const startService = (general, secure) => {
+  let storageService;
+  jest.isolateModules(() => {
+    require('../Logger').setLogLevel('silent');
+    storageService = require('../StorageService').default;
+  });
+  storageService.setAdapter(general);
+  storageService.setAdapter(secure, 'secure');
+  return storageService;
+};
+
+describe('StorageService.migrate', () => {
+  let general;
+  let secure;
+
+  beforeEach(() => {
+    general = createMemoryAdapter();
+    secure = createMemoryAdapter();
+  });
+
+  it('brings a fresh install to the current version', async () => {
+    const storageService = startService(general, secure);
+
+    const result = await storageService.migrate();
+
+    expect(result).toMatchObject({ from: 0, to: STORAGE_SCHEMA_VERSION, error: null });
+    expect(await storageService.getSchemaVersion()).toBe(STORAGE_SCHEMA_VERSION);
+    expect(await general.getItem('gu_migration_journal')).toBeNull();
+    expect(await secure.getAllKeys()).toEqual([]);
+  });
+
+  it('moves plaintext tokens to the secure backend when upgrading from version 0', async () => {
+    await general.setItem('gu_auth_token', JSON.stringify('access'));
+    await general.setItem('gu_refresh_token', JSON.stringify('refresh'));
+    await general.setItem('gu_token_expiry', JSON.stringify('2030-01-01T00:00:00.000Z'));
+    await general.setItem('gu_app_settings', JSON.stringify({ theme: 'dark' }));
+    const storageService = startService(general, secure);
+
+    const result = await storageService.migrate();
+
+    expect(result.applied).toContain(1);
+    expect(await general.getItem('gu_auth_token')).toBeNull();
+    expect(await general.getItem('gu_refresh_token')).toBeNull();
+    expect(await general.getItem('gu_token_expiry')).toBeNull();
+    expect(await storageService.getAuthToken()).toBe('access');
+    expect(await storageService.getRefreshToken()).toBe('refresh');
+    expect(await storageService.getTokenExpiry()).toEqual(new Date('2030-01-01T00:00:00.000Z'));
+    expect(await storageService.getAppSettings()).toEqual({ theme: 'dark' });
+  });
+
+  it('runs pending migrations in version order and skips applied ones', async () => {
+    await general.setItem('gu_schema_version', '1');
+    const storageService = startService(general, secure);
+    const ran = [];
+    const migrations = [
+      { version: 3, up: async () => ran.push(3) },
+      { version: 1, up: async () => ran.push(1) },
+      { version: 2, up: async () => ran.push(2) },
+    ];
+
+    const result = await storageService.migrate(migrations);
+
+    expect(ran).toEqual([2, 3]);
+    expect(result).toMatchObject({ from: 1, to: 3, applied: [2, 3], error: null });
+    expect(await storageService.getSchemaVersion()).toBe(3);
+  });
+
+  it('lets a migration read its own staged writes', async () => {
+    await general.setItem('gu_app_settings', JSON.stringify({ theme: 'dark' }));
+    const storageService = startService(general, secure);
+    let staged;
+
+    await storageService.migrate([{
+      version: 1,
+      up: async ({ keys, get, set }) => {
+        set(keys.appSettings, { display: await get(keys.appSettings) });
+        staged = await get(keys.appSettings);
+      },
+    }]);
+
+    expect(staged).toEqual({ display: { theme: 'dark' } });
+    expect(await storageService.getAppSettings()).toEqual({ display: { theme: 'dark' } });
+  });
+
+  it('finishes a migration interrupted after its journal was written', async () => {
+    await general.setItem('gu_app_settings', JSON.stringify({ theme: 'dark' }));
+    await general.setItem('gu_user_profile', JSON.stringify({ name: 'Ana' }));
+    const migration = {
+      version: 1,
+      up: async ({ keys, get, set }) => {
+        set(keys.appSettings, { display: await get(keys.appSettings) });
+        set(keys.userProfile, { ...(await get(keys.userProfile)), migrated: true });
+      },
+    };
+
+    // The app dies after the first journaled write has been applied
+    const crashing = startService(general, secure);
+    jest.spyOn(crashing, 'applyJournal').mockImplementation(async ({ changes }) => {
+      const [{ key, value }] = changes;
+      await general.setItem(key, value);
+      throw new Error('app killed');
+    });
+    await crashing.migrate([migration]);
+
+    expect(await general.getItem('gu_migration_journal')).not.toBeNull();
+    expect(await crashing.getSchemaVersion()).toBe(0);
+
+    const restarted = startService(general, secure);
+    const result = await restarted.migrate([migration]);
+
+    expect(result).toMatchObject({ from: 1, to: 1, applied: [], error: null });
+    expect(await general.getItem('gu_migration_journal')).toBeNull();
+    expect(await restarted.getAppSettings()).toEqual({ display: { theme: 'dark' } });
+    expect(await restarted.getUserProfile()).toEqual({ name: 'Ana', migrated: true });
+  });
+
+  it('keeps the version and data when a migration throws', async () => {
+    await general.setItem('gu_schema_version', '1');
+    await general.setItem('gu_app_settings', JSON.stringify({ theme: 'dark' }));
+    const storageService = startService(general, secure);
+
+    const result = await storageService.migrate([
+      {
+        version: 2,
+        up: async ({ keys, set }) => {
+          set(keys.appSettings, 'broken');
+          throw new Error('bad migration');
+        },
+      },
+      { version: 3, up: jest.fn() },
+    ]);
+
+    expect(result.error).toEqual(new Error('bad migration'));
+    expect(result).toMatchObject({ from: 1, to: 1, applied: [] });
+    expect(await storageService.getSchemaVersion()).toBe(1);
+    expect(await storageService.getAppSettings()).toEqual({ theme: 'dark' });
+    expect(await general.getItem('gu_migration_journal')).toBeNull();
+  });
+});
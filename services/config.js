@@ -3,14 +3,16 @@
  * Manages different environments and API settings
  */
 
-const environments = {
+export const environments = {
   development: {
     baseURL: 'https://gu.mindware.com.mx/api/v1',
     timeout: 10000,
     retryAttempts: 3,
   },
+  // No staging host yet; QA sets one with
+  // EnvironmentService.updateEnvironment('staging', { baseURL })
   staging: {
-    baseURL: 'https://gu.mindware.com.mx/api/v1',
+    baseURL: null,
     timeout: 15000,
     retryAttempts: 3,
   },
@@ -19,15 +21,48 @@ const environments = {
     timeout: 20000,
     retryAttempts: 2,
   },
+  local: {
+    baseURL: 'http://localhost:8000/api/v1',
+    timeout: 10000,
+    retryAttempts: 1,
+  },
+  // In-process mock backend (services/mock), no server needed
+  mock: {
+    baseURL: 'https://mock.gu.local/api/v1',
+    timeout: 10000,
+    retryAttempts: 1,
+    transport: 'mock',
+  },
 };
 
 // Default to development environment
-const currentEnvironment = __DEV__ ? 'development' : 'production';
+// (can be switched at runtime through EnvironmentService)
+export const defaultEnvironment = __DEV__ ? 'development' : 'production';
+const currentEnvironment = defaultEnvironment;
 
 export const config = {
   ...environments[currentEnvironment],
   environment: currentEnvironment,
   
+  // Minimum log level (debug, info, warn, error, silent)
+  logLevel: __DEV__ ? 'debug' : 'warn',
+  
+  // HTTP transport: 'http' uses fetch, 'mock' answers from services/mock
+  transport: environments[currentEnvironment].transport || 'http',
+  
+  // Mock transport settings (latency in ms, failure rates between 0 and 1)
+  mock: {
+    latency: { min: 150, max: 600 },
+    networkFailureRate: 0,
+    serverErrorRate: 0,
+  },
+  
+  // Retry backoff settings (retryAttempts above is the number of retries)
+  retry: {
+    baseDelay: 500,  // first retry waits ~250-500ms
+    maxDelay: 10000, // cap for any single backoff delay
+  },
+  
   // Rate limiting settings
   rateLimits: {
     public: 60,      // requests per minute for public endpoints
@@ -35,11 +70,61 @@ export const config = {
     admin: 300,      // requests per minute for admin endpoints
   },
   
+  // Response cache for GET endpoints; only endpoints listed in `ttl` are cached
+  cache: {
+    ttl: {                 // freshness in ms when the server sends no max-age
+      listSectors: 10 * 60 * 1000,
+      getSector: 10 * 60 * 1000,
+      listProperties: 2 * 60 * 1000,
+      getProperty: 2 * 60 * 1000,
+    },
+    staleWhileRevalidate: 24 * 60 * 60 * 1000, // serve stale data this long while refreshing
+    maxEntries: 100,
+  },
+  
+  // Check responses against the endpoint schemas (services/schemas.js)
+  validateResponses: true,
+  // Throw ResponseSchemaError on a mismatch; release builds log, report and
+  // keep the data instead
+  strictResponses: __DEV__,
+  
+  // Offline mutation queue (outbox)
+  offlineQueue: {
+    retryInterval: 30000, // wait between replay attempts while still offline
+    maxAttempts: 10,      // transient failures before an entry is given up on
+  },
+  
+  // API call metrics, reported through AnalyticsService.trackPerformance
+  metrics: {
+    enabled: true,
+    sampleRate: 0.2,               // share of API calls recorded (0..1)
+    flushInterval: 5 * 60 * 1000,  // one performance_metric event per endpoint this often
+    maxSamplesPerEndpoint: 200,    // durations kept for the percentiles
+    maxEventsPerFlush: 20,         // busiest endpoints first
+  },
+  
+  // Connectivity monitor (ConnectivityService)
+  connectivity: {
+    apiProbeInterval: 30000, // re-check the API host this often while it's unreachable
+    apiProbeTimeout: 5000,
+  },
+  
+  // Multipart uploads; images are resized and re-encoded as JPEG first
+  uploads: {
+    timeout: 120000,  // per attempt; photos on a slow connection take a while
+    images: {
+      avatar: { maxDimension: 512, quality: 0.8 },
+      propertyPhoto: { maxDimension: 1600, quality: 0.75 },
+    },
+  },
+  
   // Authentication settings
   auth: {
     tokenKey: 'gu_auth_token',
     refreshTokenKey: 'gu_refresh_token',
     tokenExpiryKey: 'gu_token_expiry',
+    refreshMargin: 5 * 60 * 1000,  // refresh this long before the token expires
+    refreshRetryInterval: 30000,   // wait before retrying a failed scheduled refresh
   },
   
   // API endpoints
@@ -58,10 +143,19 @@ export const config = {
       roles: '/user/roles',
       permissions: '/user/permissions',
       changePassword: '/change-password',
+      sessions: '/user/sessions',
+      session: '/user/sessions/:sessionId',
+      avatar: '/user/avatar',
     },
     geographic: {
       sectors: '/sectors',
+      sector: '/sectors/:sectorId',
       properties: '/properties',
+      property: '/properties/:propertyId',
+      propertyPhotos: '/properties/:propertyId/photos',
+    },
+    analytics: {
+      registerEvent: '/analytics/register-event',
     },
   },
 };
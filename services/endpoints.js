@@ -0,0 +1,209 @@
+/**
+ * Endpoint Registry
+ * Single catalogue of GU API endpoints built from config.endpoints, with path
+ * parameter templating and query serialization. Adding a resource is one
+ * defineEndpoint() call.
+ */
+
+import config from './config';
+import { responseSchemas as schemas } from './schemas';
+
+const { auth, user, geographic, analytics } = config.endpoints;
+
+const registry = {};
+
+/**
+ * Register an endpoint
+ * @param {string} name - Endpoint name used by callers
+ * @param {Object} definition - Endpoint definition
+ * @param {string} definition.path - Path template, e.g. '/sectors/:sectorId'
+ * @param {string} [definition.method] - HTTP method (default GET)
+ * @param {boolean} [definition.requireAuth] - Send the bearer token (default true)
+ * @param {boolean} [definition.retryable] - Override the method's retry default
+ * @param {boolean} [definition.queueable] - Safe to hold in the offline queue and replay later
+ * @param {Array<string>} [definition.invalidates] - Cached endpoints to drop after a successful call
+ * @param {Object} [definition.schema] - Expected response shape (see schemas.js)
+ * @returns {Object} Stored definition
+ */
+export const defineEndpoint = (name, { path, method = 'GET', requireAuth = true, ...extra }) => {
+  registry[name] = {
+    name,
+    path,
+    method: method.toUpperCase(),
+    requireAuth,
+    params: (path.match(/:(\w+)/g) || []).map(param => param.slice(1)),
+    ...extra,
+  };
+  return registry[name];
+};
+
+/**
+ * Get an endpoint definition
+ * @param {string} name - Endpoint name
+ * @returns {Object} Endpoint definition
+ */
+export const getEndpoint = (name) => {
+  const endpoint = registry[name];
+  if (!endpoint) {
+    throw new Error(`Unknown endpoint: ${name}`);
+  }
+  return endpoint;
+};
+
+/**
+ * List all registered endpoints
+ * @returns {Array<Object>} Endpoint definitions
+ */
+export const listEndpoints = () => Object.values(registry);
+
+/**
+ * Replace :param placeholders in a path template
+ * @param {string} template - Path template
+ * @param {Object} params - Path parameter values
+ * @returns {string} Path
+ */
+export const buildPath = (template, params = {}) => template.replace(/:(\w+)/g, (match, key) => {
+  const value = params[key];
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`Missing path parameter "${key}" for ${template}`);
+  }
+  return encodeURIComponent(String(value));
+});
+
+/**
+ * Flatten an include list to the backend's comma/dot notation
+ * ['owner', { sector: ['city'] }] => 'owner,sector.city'
+ * @param {string|Array|Object} include - Include list
+ * @param {string} prefix - Parent relation
+ * @returns {Array<string>} Relation paths
+ */
+const flattenInclude = (include, prefix = '') => {
+  const withPrefix = (relation) => (prefix ? `${prefix}.${relation}` : relation);
+
+  if (typeof include === 'string') {
+    return include.split(',').map(relation => relation.trim()).filter(Boolean).map(withPrefix);
+  }
+  if (Array.isArray(include)) {
+    return include.flatMap(item => flattenInclude(item, prefix));
+  }
+  if (include && typeof include === 'object') {
+    return Object.entries(include).flatMap(([relation, nested]) => {
+      const path = withPrefix(relation);
+      const children = flattenInclude(nested, path);
+      return children.length > 0 ? children : [path];
+    });
+  }
+  return [];
+};
+
+/**
+ * Serialize a primitive query value
+ * Booleans are sent as 1/0, which Laravel's boolean rule accepts.
+ * @param {any} value - Value
+ * @returns {string} Serialized value
+ */
+const serializeValue = (value) => {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+/**
+ * Serialize query parameters
+ * - arrays become key[]=a&key[]=b
+ * - objects become key[child]=value
+ * - include lists become include=a,b.c
+ * - null and undefined are skipped
+ * @param {Object} query - Query parameters
+ * @returns {string} Query string without the leading "?"
+ */
+export const serializeQuery = (query = {}) => {
+  const pairs = [];
+
+  const append = (key, value) => {
+    if (value === undefined || value === null) return;
+
+    if (Array.isArray(value)) {
+      value.forEach(item => append(`${key}[]`, item));
+    } else if (typeof value === 'object' && !(value instanceof Date)) {
+      Object.entries(value).forEach(([child, item]) => append(`${key}[${child}]`, item));
+    } else {
+      pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(serializeValue(value))}`);
+    }
+  };
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (key === 'include') {
+      const relations = flattenInclude(value);
+      if (relations.length > 0) {
+        pairs.push(`include=${relations.map(encodeURIComponent).join(',')}`);
+      }
+      return;
+    }
+    append(key, value);
+  });
+
+  return pairs.join('&');
+};
+
+/**
+ * Resolve an endpoint to a concrete path and request options
+ * @param {string} name - Endpoint name
+ * @param {Object} [args] - Path params and query
+ * @param {Object} [args.params] - Path parameter values
+ * @param {Object} [args.query] - Query parameters
+ * @returns {Object} { path, method, requireAuth, endpoint }
+ */
+export const resolveEndpoint = (name, { params, query } = {}) => {
+  const endpoint = getEndpoint(name);
+  const queryString = serializeQuery(query);
+  const path = buildPath(endpoint.path, params);
+
+  return {
+    endpoint,
+    path: queryString ? `${path}?${queryString}` : path,
+    method: endpoint.method,
+    requireAuth: endpoint.requireAuth,
+  };
+};
+
+// ============================================================================
+// GU API CATALOGUE
+// ============================================================================
+
+// Authentication
+defineEndpoint('register', { path: auth.register, method: 'POST', requireAuth: false, schema: schemas.auth });
+defineEndpoint('login', { path: auth.login, method: 'POST', requireAuth: false, schema: schemas.auth });
+defineEndpoint('logout', { path: auth.logout, method: 'POST', schema: schemas.message });
+defineEndpoint('forgotPassword', { path: auth.forgotPassword, method: 'POST', requireAuth: false, schema: schemas.message });
+defineEndpoint('resetPassword', { path: auth.resetPassword, method: 'POST', requireAuth: false, schema: schemas.message });
+defineEndpoint('verifyResetToken', { path: auth.verifyResetToken, method: 'POST', requireAuth: false, schema: schemas.message });
+defineEndpoint('refresh', { path: auth.refresh, method: 'POST', schema: schemas.auth });
+
+// User management
+defineEndpoint('getUserProfile', { path: user.profile, schema: schemas.user });
+defineEndpoint('updateUserProfile', { path: user.profile, method: 'PUT', queueable: true, schema: schemas.user });
+defineEndpoint('getUserRoles', { path: user.roles, schema: schemas.roles });
+defineEndpoint('getUserPermissions', { path: user.permissions, schema: schemas.permissions });
+// Never queued: the body holds passwords, and the change should fail loudly offline
+defineEndpoint('changePassword', { path: user.changePassword, method: 'POST', schema: schemas.message });
+defineEndpoint('listSessions', { path: user.sessions, schema: schemas.sessions });
+defineEndpoint('revokeSession', { path: user.session, method: 'DELETE', schema: schemas.revokedSession });
+defineEndpoint('revokeOtherSessions', { path: user.sessions, method: 'DELETE', schema: schemas.message });
+defineEndpoint('uploadAvatar', { path: user.avatar, method: 'POST', retryable: true, schema: schemas.user });
+
+// Geographic data
+defineEndpoint('listSectors', { path: geographic.sectors, schema: schemas.sectors });
+defineEndpoint('getSector', { path: geographic.sector, schema: schemas.sector });
+defineEndpoint('listProperties', { path: geographic.properties, schema: schemas.properties });
+defineEndpoint('getProperty', { path: geographic.property, schema: schemas.property });
+defineEndpoint('uploadPropertyPhoto', {
+  path: geographic.propertyPhotos,
+  method: 'POST',
+  retryable: true,
+  invalidates: ['getProperty', 'listProperties'],
+  schema: schemas.propertyPhoto,
+});
+
+// Analytics
+defineEndpoint('registerAnalyticsEvent', { path: analytics.registerEvent, method: 'POST', queueable: true, schema: schemas.message });
@@ -0,0 +1,321 @@
+/**
+ * Error Messages
+ * Turns API errors into messages users can act on: what happened, what to do
+ * next, and a code to quote to support. Screens and AuthContext go through
+ * here instead of matching error types or messages themselves.
+ */
+
+import { Alert } from 'react-native';
+import {
+  AuthenticationError,
+  ForbiddenError,
+  NetworkError,
+  OfflineError,
+  RateLimitError,
+  ResponseSchemaError,
+  ServerError,
+  TimeoutError,
+  ValidationError,
+} from './ApiError';
+
+/**
+ * Message catalogue by locale
+ * `hint` says what to do next; `retry` marks failures worth a "Reintentar"
+ * button; `support` adds the support code to the text. `{seconds}` and
+ * `{code}` are filled in by getErrorMessage().
+ */
+export const ERROR_MESSAGES = {
+  es: {
+    offline: {
+      title: 'Sin conexión',
+      message: 'No hay conexión a internet.',
+      hint: 'Conéctate a una red y vuelve a intentarlo.',
+      retry: true,
+    },
+    network: {
+      title: 'Error de conexión',
+      message: 'No pudimos comunicarnos con Glotón Urbano.',
+      hint: 'Revisa tu conexión a internet e inténtalo de nuevo.',
+      retry: true,
+    },
+    timeout: {
+      title: 'Tiempo de espera agotado',
+      message: 'El servidor tardó demasiado en responder.',
+      hint: 'Inténtalo de nuevo en unos momentos.',
+      retry: true,
+    },
+    invalid_credentials: {
+      title: 'No se pudo iniciar sesión',
+      message: 'Correo o contraseña incorrectos.',
+      hint: 'Revisa tus datos o recupera tu contraseña.',
+    },
+    session_expired: {
+      title: 'Sesión expirada',
+      message: 'Tu sesión terminó.',
+      hint: 'Vuelve a iniciar sesión para continuar.',
+    },
+    forbidden: {
+      title: 'Acceso denegado',
+      message: 'No tienes permiso para realizar esta acción.',
+      hint: null,
+      support: true,
+    },
+    not_found: {
+      title: 'No encontrado',
+      message: 'Lo que buscas ya no está disponible.',
+      hint: null,
+    },
+    validation: {
+      title: 'Revisa los datos',
+      message: 'Algunos datos no son válidos.',
+      hint: 'Corrige los campos marcados e inténtalo de nuevo.',
+    },
+    rate_limited: {
+      title: 'Demasiados intentos',
+      message: 'Hiciste demasiadas solicitudes seguidas.',
+      hint: 'Espera un momento antes de intentarlo de nuevo.',
+      hintWithDelay: 'Espera {seconds} segundos antes de intentarlo de nuevo.',
+      retry: true,
+    },
+    server: {
+      title: 'Servicio no disponible',
+      message: 'Tuvimos un problema en nuestros servidores.',
+      hint: 'Inténtalo más tarde.',
+      retry: true,
+      support: true,
+    },
+    invalid_response: {
+      title: 'Error inesperado',
+      message: 'Recibimos una respuesta inesperada del servidor.',
+      hint: 'Actualiza la app o inténtalo más tarde.',
+      support: true,
+    },
+    unknown: {
+      title: 'Error',
+      message: 'Algo salió mal.',
+      hint: 'Inténtalo de nuevo.',
+      retry: true,
+      support: true,
+    },
+    supportLine: 'Si el problema continúa, contacta a soporte con el código {code}.',
+    retryButton: 'Reintentar',
+    dismissButton: 'Aceptar',
+  },
+  en: {
+    offline: {
+      title: 'No connection',
+      message: 'You are not connected to the internet.',
+      hint: 'Connect to a network and try again.',
+      retry: true,
+    },
+    network: {
+      title: 'Connection error',
+      message: "We couldn't reach Glotón Urbano.",
+      hint: 'Check your internet connection and try again.',
+      retry: true,
+    },
+    timeout: {
+      title: 'Request timed out',
+      message: 'The server took too long to respond.',
+      hint: 'Try again in a few moments.',
+      retry: true,
+    },
+    invalid_credentials: {
+      title: "Couldn't sign in",
+      message: 'Incorrect email or password.',
+      hint: 'Check your details or reset your password.',
+    },
+    session_expired: {
+      title: 'Session expired',
+      message: 'Your session has ended.',
+      hint: 'Sign in again to continue.',
+    },
+    forbidden: {
+      title: 'Access denied',
+      message: "You don't have permission to do this.",
+      hint: null,
+      support: true,
+    },
+    not_found: {
+      title: 'Not found',
+      message: "What you're looking for is no longer available.",
+      hint: null,
+    },
+    validation: {
+      title: 'Check your details',
+      message: 'Some of the details are not valid.',
+      hint: 'Fix the highlighted fields and try again.',
+    },
+    rate_limited: {
+      title: 'Too many attempts',
+      message: 'You made too many requests in a row.',
+      hint: 'Wait a moment before trying again.',
+      hintWithDelay: 'Wait {seconds} seconds before trying again.',
+      retry: true,
+    },
+    server: {
+      title: 'Service unavailable',
+      message: 'Something went wrong on our servers.',
+      hint: 'Try again later.',
+      retry: true,
+      support: true,
+    },
+    invalid_response: {
+      title: 'Unexpected error',
+      message: 'We received an unexpected response from the server.',
+      hint: 'Update the app or try again later.',
+      support: true,
+    },
+    unknown: {
+      title: 'Error',
+      message: 'Something went wrong.',
+      hint: 'Please try again.',
+      retry: true,
+      support: true,
+    },
+    supportLine: 'If the problem continues, contact support with code {code}.',
+    retryButton: 'Retry',
+    dismissButton: 'OK',
+  },
+};
+
+// Backend error codes (and our own) that pick a message directly
+const CODE_KEYS = {
+  invalid_credentials: 'invalid_credentials',
+  session_expired: 'session_expired',
+  offline: 'offline',
+  invalid_response: 'invalid_response',
+};
+
+// Short category in support codes, e.g. GU-SRV-503
+const SUPPORT_CATEGORIES = {
+  offline: 'OFF',
+  network: 'NET',
+  timeout: 'TMO',
+  invalid_credentials: 'AUTH',
+  session_expired: 'SES',
+  forbidden: 'PERM',
+  not_found: 'NF',
+  validation: 'VAL',
+  rate_limited: 'RATE',
+  server: 'SRV',
+  invalid_response: 'RESP',
+  unknown: 'UNK',
+};
+
+let currentLocale = 'es';
+
+/**
+ * Set the language of error messages
+ * @param {string} locale - 'es' or 'en'; anything else is ignored
+ */
+export const setErrorLocale = (locale) => {
+  const language = String(locale).slice(0, 2).toLowerCase();
+  if (ERROR_MESSAGES[language]) {
+    currentLocale = language;
+  }
+};
+
+/**
+ * Get the language of error messages
+ * @returns {string} Locale
+ */
+export const getErrorLocale = () => currentLocale;
+
+/**
+ * Pick the catalogue entry for an error
+ * Plain descriptions such as offline queue entries' `lastError` ({ name,
+ * status, code }) are matched by name and status.
+ * @param {Error|Object} error - Any error
+ * @param {string} [context] - 'login' reads a 401 as wrong credentials
+ * @returns {string} Catalogue key
+ */
+const resolveKey = (error, context) => {
+  if (error?.code && CODE_KEYS[error.code]) return CODE_KEYS[error.code];
+
+  const name = error?.name;
+  const status = error?.status ?? null;
+
+  if (error instanceof OfflineError || name === 'OfflineError') return 'offline';
+  if (error instanceof TimeoutError || name === 'TimeoutError') return 'timeout';
+  if (error instanceof NetworkError || name === 'NetworkError') return 'network';
+  if (error instanceof ResponseSchemaError) return 'invalid_response';
+  if (error instanceof AuthenticationError || status === 401) {
+    return context === 'login' ? 'invalid_credentials' : 'session_expired';
+  }
+  if (error instanceof ForbiddenError || status === 403) return 'forbidden';
+  if (status === 404) return 'not_found';
+  if (error instanceof ValidationError || status === 422) return 'validation';
+  if (error instanceof RateLimitError || status === 429) return 'rate_limited';
+  if (error instanceof ServerError || status >= 500) return 'server';
+  return 'unknown';
+};
+
+const fill = (text, values) => text.replace(/\{(\w+)\}/g, (match, name) => (
+  values[name] !== undefined ? values[name] : match
+));
+
+/**
+ * Describe an error for the user
+ * @param {Error|Object} error - Any error (API errors get specific messages)
+ * @param {Object} [options] - Options
+ * @param {string} [options.context] - What the user was doing; 'login' reads a
+ *   401 as wrong credentials instead of an expired session
+ * @param {string} [options.locale] - Override the current locale
+ * @returns {Object} { key, title, message, hint, canRetry, supportCode, showSupportCode }
+ */
+export const getErrorMessage = (error, { context, locale = currentLocale } = {}) => {
+  const catalogue = ERROR_MESSAGES[locale] || ERROR_MESSAGES.es;
+  const key = resolveKey(error, context);
+  const entry = catalogue[key];
+
+  const seconds = error instanceof RateLimitError && error.retryAfter
+    ? Math.ceil(error.retryAfter / 1000)
+    : null;
+
+  return {
+    key,
+    title: entry.title,
+    message: entry.message,
+    hint: seconds && entry.hintWithDelay ? fill(entry.hintWithDelay, { seconds }) : entry.hint,
+    canRetry: entry.retry === true,
+    supportCode: `GU-${SUPPORT_CATEGORIES[key]}-${error?.status ?? 0}`,
+    showSupportCode: entry.support === true,
+  };
+};
+
+/**
+ * One-paragraph version of getErrorMessage() for inline error text
+ * @param {Error} error - Any error
+ * @param {Object} [options] - See getErrorMessage()
+ * @returns {string} Message, hint and, where useful, the support code
+ */
+export const formatErrorMessage = (error, options = {}) => {
+  const catalogue = ERROR_MESSAGES[options.locale || currentLocale] || ERROR_MESSAGES.es;
+  const described = getErrorMessage(error, options);
+
+  return [
+    described.message,
+    described.hint,
+    described.showSupportCode ? fill(catalogue.supportLine, { code: described.supportCode }) : null,
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * Show an error in a native alert
+ * @param {Error} error - Any error
+ * @param {Object} [options] - getErrorMessage() options plus:
+ * @param {string} [options.title] - Replaces the error's own title
+ * @param {Function} [options.onRetry] - Adds a retry button when the failure is worth retrying
+ */
+export const alertError = (error, { title, onRetry, ...options } = {}) => {
+  const catalogue = ERROR_MESSAGES[options.locale || currentLocale] || ERROR_MESSAGES.es;
+  const described = getErrorMessage(error, options);
+
+  const buttons = [{ text: catalogue.dismissButton, style: 'cancel' }];
+  if (onRetry && described.canRetry) {
+    buttons.push({ text: catalogue.retryButton, onPress: onRetry });
+  }
+
+  Alert.alert(title || described.title, formatErrorMessage(error, options), buttons);
+};
@@ -4,10 +4,60 @@
  */
 
 // Core services
-export { default as ApiService } from './ApiService';
+export { default as ApiService, createFormData } from './ApiService';
 export { default as EnhancedApiService } from './EnhancedApiService';
 export { default as StorageService } from './StorageService';
+export { createMemoryAdapter, createAsyncStorageAdapter, createSecureStoreAdapter } from './storageAdapters';
+export { STORAGE_MIGRATIONS, STORAGE_SCHEMA_VERSION } from './storageMigrations';
 export { default as AnalyticsService } from './AnalyticsService';
+export { default as EnvironmentService } from './EnvironmentService';
+export { default as ConnectivityService } from './ConnectivityService';
+export { default as ImageService } from './ImageService';
+export { default as OfflineQueue, QUEUE_STATUS, isOfflineError } from './OfflineQueue';
+export { default as Paginator, parsePage } from './Paginator';
+export { default as ApiMetrics } from './ApiMetrics';
+export { default as NetworkInspector } from './NetworkInspector';
+
+// Logging
+export { default as logger, createLogger, setLogLevel, getLogLevel, redact } from './Logger';
+
+// Errors
+export * from './ApiError';
+export {
+  ERROR_MESSAGES,
+  getErrorMessage,
+  formatErrorMessage,
+  alertError,
+  setErrorLocale,
+  getErrorLocale,
+} from './errorMessages';
+
+// Endpoint registry
+export {
+  defineEndpoint,
+  getEndpoint,
+  listEndpoints,
+  resolveEndpoint,
+  buildPath,
+  serializeQuery,
+} from './endpoints';
+
+// Response schemas
+export {
+  string,
+  number,
+  integer,
+  boolean,
+  oneOf,
+  optional,
+  nullable,
+  arrayOf,
+  shape,
+  envelope,
+  paginated,
+  validateSchema,
+  responseSchemas,
+} from './schemas';
 
 // Configuration
 export { default as config } from './config';
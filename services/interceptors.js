@@ -0,0 +1,108 @@
+/**
+ * Default API Interceptors
+ * Request, response and error interceptors registered on the base ApiService.
+ *
+ * Interceptor contracts:
+ * - request:  (request) => request          may return a modified request
+ * - response: (response, request) => response  may return a modified response
+ * - error:    (error, request) => any       return nothing (or an Error) to pass
+ *   the error on, or any other value to resolve the request with it
+ */
+
+import { Platform } from 'react-native';
+import Constants from 'expo-constants';
+import { OfflineError, isCancelError } from './ApiError';
+import { createLogger } from './Logger';
+
+const logger = createLogger('ApiService');
+
+const DEFAULT_LOCALE = 'es-MX';
+
+/**
+ * Resolve the device locale for Accept-Language
+ * @returns {string} BCP 47 locale
+ */
+const getDeviceLocale = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().locale || DEFAULT_LOCALE;
+  } catch (error) {
+    return DEFAULT_LOCALE;
+  }
+};
+
+/**
+ * Adds Accept-Language and app identification headers
+ * @returns {Function} Request interceptor
+ */
+export const createAppHeadersInterceptor = () => {
+  const appVersion = Constants.expoConfig?.version || '1.0.0';
+  const locale = getDeviceLocale();
+
+  return (request) => ({
+    ...request,
+    headers: {
+      'Accept-Language': locale,
+      'X-App-Version': appVersion,
+      'X-App-Platform': Platform.OS,
+      ...request.headers,
+    },
+  });
+};
+
+/**
+ * Logs outgoing requests
+ * @returns {Function} Request interceptor
+ */
+export const createRequestLogger = () => (request) => {
+  logger.debug('🔗 API Request', {
+    url: request.url,
+    method: request.method,
+    headers: request.headers,
+    body: request.body || null,
+    requireAuth: request.options.requireAuth !== false,
+    attempt: request.attempt,
+    timeout: request.timeout,
+  });
+  return request;
+};
+
+/**
+ * Logs every HTTP response
+ * @returns {Function} Response interceptor
+ */
+export const createResponseLogger = () => (response, request) => {
+  logger.debug(response.ok ? '✅ API Response' : '📡 API Response', {
+    url: request.url,
+    status: response.status,
+    statusText: response.statusText,
+    duration: response.duration,
+    data: response.data,
+  });
+  return response;
+};
+
+/**
+ * Logs requests that failed after all retries
+ * @returns {Function} Error interceptor
+ */
+export const createErrorLogger = () => (error, request) => {
+  // Canceled requests are expected (e.g. a screen unmounting)
+  if (isCancelError(error)) {
+    logger.debug('🚫 API Request Canceled', { url: request.url });
+    return;
+  }
+
+  // Not sent at all; the offline banner already tells the user
+  if (error instanceof OfflineError) {
+    logger.debug('📴 API Request Skipped (offline)', { url: request.url });
+    return;
+  }
+
+  logger.warn('💥 API Request Error', {
+    url: request.url,
+    type: error.name,
+    status: error.status,
+    error: error.message,
+    attempts: error.attempts,
+  });
+};
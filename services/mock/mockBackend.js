@@ -0,0 +1,670 @@
+/**
+ * Mock Backend
+ * In-memory implementation of the GU API contract. Transport agnostic: it takes
+ * a plain request description and returns { status, headers, body }, so the
+ * same handlers back the in-process mock transport and the Node stand-in
+ * server (scripts/mock-server.js).
+ */
+
+import { createSeed, MOCK_PASSWORD } from './mockData.js';
+
+const API_PREFIX = '/api/v1';
+const ACCESS_TOKEN_TTL = 3600; // seconds
+const REFRESH_TOKEN_TTL = 30 * 24 * 3600; // seconds
+const DEFAULT_PER_PAGE = 15;
+const MAX_PER_PAGE = 100;
+
+/**
+ * Parse a query string, supporting key[]=a&key[]=b arrays
+ * (React Native's URLSearchParams is incomplete, so this is done by hand)
+ * @param {string} queryString - Query string without "?"
+ * @returns {Object} Parsed query
+ */
+export const parseQuery = (queryString = '') => {
+  const query = {};
+  queryString.split('&').filter(Boolean).forEach(pair => {
+    const [rawKey, rawValue = ''] = pair.split('=');
+    const key = decodeURIComponent(rawKey.replace(/\+/g, ' '));
+    const value = decodeURIComponent(rawValue.replace(/\+/g, ' '));
+
+    if (key.endsWith('[]')) {
+      const name = key.slice(0, -2);
+      query[name] = [...(query[name] || []), value];
+    } else {
+      query[key] = value;
+    }
+  });
+  return query;
+};
+
+/**
+ * Split a URL into its API path and query
+ * @param {string} url - Absolute or relative URL
+ * @returns {Object} { path, query }
+ */
+export const parseUrl = (url) => {
+  const [beforeHash] = url.split('#');
+  const [base, queryString = ''] = beforeHash.split('?');
+  let path = base.replace(/^https?:\/\/[^/]+/, '');
+
+  const prefixIndex = path.indexOf(API_PREFIX);
+  if (prefixIndex !== -1) {
+    path = path.slice(prefixIndex + API_PREFIX.length);
+  }
+
+  return { path: path.replace(/\/+$/, '') || '/', query: parseQuery(queryString) };
+};
+
+/**
+ * Weak ETag for a response body (djb2 hash of its JSON)
+ * @param {Object} body - Response body
+ * @returns {string} ETag header value
+ */
+const createEtag = (body) => {
+  const text = JSON.stringify(body);
+  let hash = 5381;
+  for (let index = 0; index < text.length; index++) {
+    hash = ((hash * 33) ^ text.charCodeAt(index)) >>> 0;
+  }
+  return `W/"${hash.toString(16)}-${text.length.toString(16)}"`;
+};
+
+const isTruthy = (value) => value === true || value === '1' || value === 'true';
+
+const randomToken = (prefix) => `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 14)}`;
+
+const json = (status, body, headers = {}) => ({
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body,
+});
+
+const ok = (data, extra = {}) => json(200, { success: true, data, ...extra });
+
+const fail = (status, message, extra = {}) => json(status, { success: false, message, ...extra });
+
+const validationFail = (errors) => fail(422, 'The given data was invalid.', { errors });
+
+export class MockBackend {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Restore the seed data and drop all sessions
+   */
+  reset() {
+    this.db = createSeed();
+    this.passwords = Object.fromEntries(this.db.users.map(user => [user.id, MOCK_PASSWORD]));
+    this.accessTokens = new Map();
+    this.refreshTokens = new Map();
+    this.sessions = new Map();
+    this.nextSessionId = 1;
+    this.events = [];
+    this.photos = [];
+    this.idempotentResponses = new Map();
+    this.nextUserId = this.db.users.length + 1;
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  /**
+   * Public representation of a user
+   * @param {Object} user - Stored user
+   * @returns {Object} User payload
+   */
+  serializeUser(user) {
+    return {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      sector_id: user.sector_id,
+      highest_role_level: this.getHighestRoleLevel(user),
+      avatar_url: user.avatar_url || null,
+    };
+  }
+
+  getUserRoles(user) {
+    return user.roles.map(name => this.db.roles[name]);
+  }
+
+  getHighestRoleLevel(user) {
+    return Math.max(1, ...this.getUserRoles(user).map(role => role.level));
+  }
+
+  getUserPermissions(user) {
+    return [...new Set(user.roles.flatMap(name => this.db.rolePermissions[name] || []))];
+  }
+
+  /**
+   * Open a device session (one per login)
+   * @param {Object} user - Stored user
+   * @param {Object} device - Device descriptor sent with the login
+   * @returns {Object} Session
+   */
+  createSession(user, device) {
+    const now = new Date().toISOString();
+    const session = {
+      id: this.nextSessionId++,
+      userId: user.id,
+      device_name: device.device_name || 'Unknown device',
+      device_id: device.device_id || null,
+      device_model: device.device_model || null,
+      os_name: device.os_name || null,
+      os_version: device.os_version || null,
+      app_version: device.app_version || null,
+      created_at: now,
+      last_used_at: now,
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Public representation of a session
+   * @param {Object} session - Stored session
+   * @param {number|null} currentSessionId - Session of the requesting token
+   * @returns {Object} Session payload
+   */
+  serializeSession(session, currentSessionId) {
+    const { userId, ...payload } = session;
+    return { ...payload, is_current: session.id === currentSessionId };
+  }
+
+  /**
+   * End a session and every token issued for it
+   * @param {number} sessionId - Session ID
+   */
+  revokeSession(sessionId) {
+    this.sessions.delete(sessionId);
+    this.accessTokens.forEach((entry, token) => {
+      if (entry.sessionId === sessionId) this.accessTokens.delete(token);
+    });
+    this.refreshTokens.forEach((entry, refreshToken) => {
+      if (entry.sessionId === sessionId) this.refreshTokens.delete(refreshToken);
+    });
+  }
+
+  /**
+   * Create an access/refresh token pair
+   * @param {Object} user - Stored user
+   * @param {number} sessionId - Session the pair belongs to
+   * @returns {Object} Token payload
+   */
+  issueTokens(user, sessionId) {
+    const token = randomToken('mock');
+    const refreshToken = randomToken('mockrefresh');
+    const now = Date.now();
+
+    this.accessTokens.set(token, { userId: user.id, sessionId, expiresAt: now + ACCESS_TOKEN_TTL * 1000 });
+    this.refreshTokens.set(refreshToken, { userId: user.id, sessionId, expiresAt: now + REFRESH_TOKEN_TTL * 1000, accessToken: token });
+
+    return {
+      token,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL,
+      refresh_token: refreshToken,
+    };
+  }
+
+  /**
+   * Resolve the user behind the request's bearer token
+   * @param {Object} headers - Request headers
+   * @param {Object} options - { allowExpired }
+   * @returns {Object|null} Stored user
+   */
+  authenticate(headers, { allowExpired = false } = {}) {
+    const entry = this.getAccessToken(headers);
+
+    if (!entry) return null;
+    if (!allowExpired && entry.expiresAt < Date.now()) return null;
+
+    const session = this.sessions.get(entry.sessionId);
+    if (session) session.last_used_at = new Date().toISOString();
+
+    return this.db.users.find(user => user.id === entry.userId) || null;
+  }
+
+  /**
+   * Stored entry of the request's bearer token
+   * @param {Object} headers - Request headers
+   * @returns {Object|null} { userId, sessionId, expiresAt }
+   */
+  getAccessToken(headers) {
+    const header = headers.Authorization || headers.authorization || '';
+    return this.accessTokens.get(header.replace(/^Bearer\s+/i, '')) || null;
+  }
+
+  /**
+   * Slice a collection into a Laravel-style page
+   * @param {Array} items - Full collection
+   * @param {Object} query - Request query
+   * @param {string} path - Endpoint path for links
+   * @param {string} key - Data key (e.g. "properties")
+   * @returns {Object} Response
+   */
+  paginate(items, query, path, key) {
+    const perPage = Math.min(MAX_PER_PAGE, Math.max(1, Number(query.per_page) || DEFAULT_PER_PAGE));
+    const total = items.length;
+    const lastPage = Math.max(1, Math.ceil(total / perPage));
+    const page = Math.min(lastPage, Math.max(1, Number(query.page) || 1));
+    const start = (page - 1) * perPage;
+    const pageItems = items.slice(start, start + perPage);
+
+    const linkTo = (target) => {
+      const params = Object.entries({ ...query, page: target, per_page: perPage })
+        .flatMap(([name, value]) => (Array.isArray(value)
+          ? value.map(item => `${encodeURIComponent(`${name}[]`)}=${encodeURIComponent(item)}`)
+          : [`${encodeURIComponent(name)}=${encodeURIComponent(value)}`]))
+        .join('&');
+      return `${API_PREFIX}${path}?${params}`;
+    };
+
+    return ok({ [key]: pageItems }, {
+      meta: {
+        current_page: page,
+        per_page: perPage,
+        total,
+        last_page: lastPage,
+        from: total === 0 ? null : start + 1,
+        to: total === 0 ? null : start + pageItems.length,
+      },
+      links: {
+        first: linkTo(1),
+        last: linkTo(lastPage),
+        prev: page > 1 ? linkTo(page - 1) : null,
+        next: page < lastPage ? linkTo(page + 1) : null,
+      },
+    });
+  }
+
+  /**
+   * Public representation of a property photo
+   * @param {Object} photo - Stored photo
+   * @returns {Object} Photo payload
+   */
+  serializePhoto(photo) {
+    return { id: photo.id, url: photo.url, created_at: photo.created_at };
+  }
+
+  /**
+   * Attach requested relations to a property
+   * @param {Object} property - Stored property
+   * @param {Array<string>} include - Relations
+   * @returns {Object} Property payload
+   */
+  serializeProperty(property, include = []) {
+    const payload = { ...property };
+    if (include.includes('sector')) {
+      payload.sector = this.db.sectors.find(sector => sector.id === property.sector_id) || null;
+    }
+    if (include.includes('owner')) {
+      const owner = this.db.users.find(user => user.id === property.owner_id);
+      payload.owner = owner ? { id: owner.id, name: owner.name } : null;
+    }
+    if (include.includes('photos')) {
+      payload.photos = this.photos
+        .filter(photo => photo.property_id === property.id)
+        .map(photo => this.serializePhoto(photo));
+    }
+    return payload;
+  }
+
+  /**
+   * Attach requested counts to a sector
+   * @param {Object} sector - Stored sector
+   * @param {Array<string>} include - Relations
+   * @returns {Object} Sector payload
+   */
+  serializeSector(sector, include = []) {
+    const payload = { ...sector };
+    if (include.includes('properties_count')) {
+      payload.properties_count = this.db.properties.filter(property => property.sector_id === sector.id).length;
+    }
+    if (include.includes('users_count')) {
+      payload.users_count = this.db.users.filter(user => user.sector_id === sector.id).length;
+    }
+    return payload;
+  }
+
+  // ============================================================================
+  // ROUTING
+  // ============================================================================
+
+  /**
+   * Handle a request
+   * Successful GETs carry an ETag and answer If-None-Match with a 304.
+   * Mutations carrying an Idempotency-Key are answered once; repeats of the
+   * same key get the stored response back with an Idempotent-Replayed header.
+   * @param {Object} request - Request description
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Request URL
+   * @param {Object} [request.headers] - Request headers
+   * @param {Object|null} [request.body] - Parsed JSON body
+   * @returns {Object} { status, headers, body }
+   */
+  handle(request) {
+    const { method = 'GET', headers = {} } = request;
+    const idempotencyKey = headers['Idempotency-Key'] || headers['idempotency-key'];
+
+    if (method.toUpperCase() === 'GET') {
+      return this.withEtag(this.route(request), headers);
+    }
+
+    if (!idempotencyKey) {
+      return this.route(request);
+    }
+
+    const stored = this.idempotentResponses.get(idempotencyKey);
+    if (stored) {
+      return { ...stored, headers: { ...stored.headers, 'Idempotent-Replayed': 'true' } };
+    }
+
+    // Auth, throttling and server failures never reached the handler, so the
+    // key stays free for the retry
+    const result = this.route(request);
+    if (result.status < 500 && ![401, 429].includes(result.status)) {
+      this.idempotentResponses.set(idempotencyKey, result);
+    }
+    return result;
+  }
+
+  /**
+   * Add an ETag to a successful GET, or turn it into a 304 when the client's
+   * copy is current
+   * @param {Object} result - Handler result
+   * @param {Object} headers - Request headers
+   * @returns {Object} { status, headers, body }
+   */
+  withEtag(result, headers) {
+    if (result.status !== 200) return result;
+
+    const etag = createEtag(result.body);
+    const ifNoneMatch = headers['If-None-Match'] || headers['if-none-match'];
+
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+      return { status: 304, headers: { ETag: etag }, body: null };
+    }
+
+    return { ...result, headers: { ...result.headers, ETag: etag } };
+  }
+
+  /**
+   * Dispatch a request to its handler
+   * @param {Object} request - Request description
+   * @returns {Object} { status, headers, body }
+   */
+  route({ method = 'GET', url, headers = {}, body = null }) {
+    const { path, query } = parseUrl(url);
+    const verb = method.toUpperCase();
+    const include = (query.include || '').split(',').map(item => item.trim()).filter(Boolean);
+
+    const routes = [
+      ['POST', /^\/login$/, () => this.login(body || {})],
+      ['POST', /^\/register$/, () => this.register(body || {})],
+      ['POST', /^\/refresh$/, () => this.refresh(headers, body || {})],
+      ['POST', /^\/logout$/, () => this.logout(headers)],
+      ['GET', /^\/user$/, (user) => ok({ user: this.serializeUser(user) }), true],
+      ['PUT', /^\/user$/, (user) => this.updateUser(user, body || {}), true],
+      ['POST', /^\/user\/avatar$/, (user) => this.uploadAvatar(user, body || {}), true],
+      ['GET', /^\/user\/roles$/, (user) => ok({ roles: this.getUserRoles(user) }), true],
+      ['GET', /^\/user\/permissions$/, (user) => ok({
+        permissions: this.getUserPermissions(user),
+        highest_role_level: this.getHighestRoleLevel(user),
+      }), true],
+      ['POST', /^\/change-password$/, (user) => this.changePassword(user, body || {}), true],
+      ['GET', /^\/user\/sessions$/, (user) => this.listSessions(user, headers), true],
+      ['DELETE', /^\/user\/sessions$/, (user) => this.revokeOtherSessions(user, headers), true],
+      ['DELETE', /^\/user\/sessions\/(\d+)$/, (user, id) => this.revokeUserSession(user, headers, Number(id)), true],
+      ['GET', /^\/sectors$/, () => this.listSectors(query, include), true],
+      ['GET', /^\/sectors\/(\d+)$/, (user, id) => this.getSector(Number(id), include), true],
+      ['GET', /^\/properties$/, () => this.listProperties(query, include), true],
+      ['GET', /^\/properties\/(\d+)$/, (user, id) => this.getProperty(Number(id), include), true],
+      ['POST', /^\/properties\/(\d+)\/photos$/, (user, id) => this.uploadPropertyPhoto(Number(id), body || {}), true],
+      ['POST', /^\/analytics\/register-event$/, (user) => this.registerEvent(user, body || {}), true],
+    ];
+
+    let pathMatched = false;
+    for (const [routeMethod, pattern, handler, requireAuth] of routes) {
+      const match = path.match(pattern);
+      if (!match) continue;
+      pathMatched = true;
+      if (routeMethod !== verb) continue;
+
+      let user = null;
+      if (requireAuth) {
+        user = this.authenticate(headers);
+        if (!user) return fail(401, 'Unauthenticated.');
+      }
+
+      return handler(user, ...match.slice(1));
+    }
+
+    if (pathMatched) {
+      return fail(405, 'Method not allowed.');
+    }
+    return fail(404, `Route ${verb} ${path} not found.`);
+  }
+
+  // ============================================================================
+  // HANDLERS
+  // ============================================================================
+
+  login({ email, password, ...device }) {
+    const errors = {};
+    if (!email) errors.email = ['The email field is required.'];
+    if (!password) errors.password = ['The password field is required.'];
+    if (Object.keys(errors).length > 0) return validationFail(errors);
+
+    const user = this.db.users.find(candidate => candidate.email === String(email).toLowerCase());
+    if (!user || this.passwords[user.id] !== password) {
+      return fail(401, 'Invalid credentials.', { code: 'invalid_credentials' });
+    }
+
+    const session = this.createSession(user, device);
+    return ok({ user: this.serializeUser(user), ...this.issueTokens(user, session.id) }, { message: 'Login successful.' });
+  }
+
+  register({ name, email, password, password_confirmation: confirmation, terms_accepted: termsAccepted, ...device }) {
+    const errors = {};
+    if (!name) errors.name = ['The name field is required.'];
+    if (!email) {
+      errors.email = ['The email field is required.'];
+    } else if (this.db.users.some(user => user.email === String(email).toLowerCase())) {
+      errors.email = ['The email has already been taken.'];
+    }
+    if (!password || password.length < 8) {
+      errors.password = ['The password must be at least 8 characters.'];
+    } else if (password !== confirmation) {
+      errors.password = ['The password confirmation does not match.'];
+    }
+    if (termsAccepted !== undefined && !isTruthy(termsAccepted)) {
+      errors.terms_accepted = ['The terms must be accepted.'];
+    }
+    if (Object.keys(errors).length > 0) return validationFail(errors);
+
+    const user = {
+      id: this.nextUserId++,
+      name,
+      email: String(email).toLowerCase(),
+      roles: ['app_user'],
+      sector_id: null,
+    };
+    this.db.users.push(user);
+    this.passwords[user.id] = password;
+
+    const session = this.createSession(user, device);
+    const response = ok({ user: this.serializeUser(user), ...this.issueTokens(user, session.id) }, { message: 'Registration successful.' });
+    response.status = 201;
+    return response;
+  }
+
+  refresh(headers, { refresh_token: refreshToken }) {
+    let user = null;
+    let sessionId = null;
+
+    if (refreshToken) {
+      const entry = this.refreshTokens.get(refreshToken);
+      if (!entry || entry.expiresAt < Date.now()) {
+        return fail(401, 'Invalid refresh token.', { code: 'invalid_refresh_token' });
+      }
+      // Rotate: the old pair can't be used again
+      this.refreshTokens.delete(refreshToken);
+      this.accessTokens.delete(entry.accessToken);
+      user = this.db.users.find(candidate => candidate.id === entry.userId);
+      sessionId = entry.sessionId;
+    } else {
+      user = this.authenticate(headers, { allowExpired: true });
+      sessionId = this.getAccessToken(headers)?.sessionId ?? null;
+    }
+
+    if (!user) return fail(401, 'Unauthenticated.');
+    return ok({ user: this.serializeUser(user), ...this.issueTokens(user, sessionId) });
+  }
+
+  logout(headers) {
+    const entry = this.getAccessToken(headers);
+    if (!entry) return fail(401, 'Unauthenticated.');
+
+    this.revokeSession(entry.sessionId);
+    return ok(null, { message: 'Logged out.' });
+  }
+
+  listSessions(user, headers) {
+    const currentSessionId = this.getAccessToken(headers)?.sessionId ?? null;
+    const sessions = Array.from(this.sessions.values())
+      .filter(session => session.userId === user.id)
+      .sort((a, b) => b.last_used_at.localeCompare(a.last_used_at))
+      .map(session => this.serializeSession(session, currentSessionId));
+    return ok({ sessions });
+  }
+
+  revokeUserSession(user, headers, sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.userId !== user.id) return fail(404, 'Session not found.');
+
+    const payload = this.serializeSession(session, this.getAccessToken(headers)?.sessionId ?? null);
+    this.revokeSession(sessionId);
+    return ok({ session: payload }, { message: 'Session revoked.' });
+  }
+
+  revokeOtherSessions(user, headers) {
+    const currentSessionId = this.getAccessToken(headers)?.sessionId ?? null;
+    const others = Array.from(this.sessions.values())
+      .filter(session => session.userId === user.id && session.id !== currentSessionId);
+    others.forEach(session => this.revokeSession(session.id));
+    return ok({ revoked: others.length }, { message: 'Other sessions revoked.' });
+  }
+
+  updateUser(user, { name, email }) {
+    const errors = {};
+    if (email !== undefined && this.db.users.some(other => other.id !== user.id && other.email === String(email).toLowerCase())) {
+      errors.email = ['The email has already been taken.'];
+    }
+    if (name !== undefined && !String(name).trim()) {
+      errors.name = ['The name field is required.'];
+    }
+    if (Object.keys(errors).length > 0) return validationFail(errors);
+
+    if (name !== undefined) user.name = name;
+    if (email !== undefined) user.email = String(email).toLowerCase();
+    return ok({ user: this.serializeUser(user) }, { message: 'Profile updated.' });
+  }
+
+  uploadAvatar(user, { avatar }) {
+    if (!avatar?.uri) return validationFail({ avatar: ['The avatar must be an image.'] });
+
+    // Nothing is stored; the local file stands in for the uploaded copy
+    user.avatar_url = avatar.uri;
+    return ok({ user: this.serializeUser(user) }, { message: 'Avatar updated.' });
+  }
+
+  changePassword(user, { current_password: current, password, password_confirmation: confirmation }) {
+    if (this.passwords[user.id] !== current) {
+      return validationFail({ current_password: ['The current password is incorrect.'] });
+    }
+    if (!password || password.length < 8 || password !== confirmation) {
+      return validationFail({ password: ['The password must be at least 8 characters and match its confirmation.'] });
+    }
+    this.passwords[user.id] = password;
+    return ok(null, { message: 'Password changed.' });
+  }
+
+  listSectors(query, include) {
+    let items = this.db.sectors;
+    if (query.active !== undefined) {
+      items = items.filter(sector => sector.active === isTruthy(query.active));
+    }
+    if (query.search) {
+      const search = query.search.toLowerCase();
+      items = items.filter(sector => sector.name.toLowerCase().includes(search));
+    }
+    return this.paginate(items.map(sector => this.serializeSector(sector, include)), query, '/sectors', 'sectors');
+  }
+
+  getSector(id, include) {
+    const sector = this.db.sectors.find(candidate => candidate.id === id);
+    if (!sector) return fail(404, 'Sector not found.');
+    return ok({ sector: this.serializeSector(sector, include) });
+  }
+
+  listProperties(query, include) {
+    let items = this.db.properties;
+    if (query.sector_id !== undefined) {
+      items = items.filter(property => property.sector_id === Number(query.sector_id));
+    }
+    if (query.owner_id !== undefined) {
+      items = items.filter(property => property.owner_id === Number(query.owner_id));
+    }
+    if (query.status) {
+      items = items.filter(property => property.status === query.status);
+    }
+    if (query.search) {
+      const search = query.search.toLowerCase();
+      items = items.filter(property => property.name.toLowerCase().includes(search));
+    }
+    return this.paginate(items.map(property => this.serializeProperty(property, include)), query, '/properties', 'properties');
+  }
+
+  getProperty(id, include) {
+    const property = this.db.properties.find(candidate => candidate.id === id);
+    if (!property) return fail(404, 'Property not found.');
+    return ok({ property: this.serializeProperty(property, include) });
+  }
+
+  uploadPropertyPhoto(id, { photo }) {
+    const property = this.db.properties.find(candidate => candidate.id === id);
+    if (!property) return fail(404, 'Property not found.');
+    if (!photo?.uri) return validationFail({ photo: ['The photo must be an image.'] });
+
+    const stored = {
+      id: this.photos.length + 1,
+      property_id: id,
+      url: photo.uri,
+      created_at: new Date().toISOString(),
+    };
+    this.photos.push(stored);
+
+    const response = ok({ photo: this.serializePhoto(stored) }, { message: 'Photo uploaded.' });
+    response.status = 201;
+    return response;
+  }
+
+  registerEvent(user, eventData) {
+    const errors = {};
+    if (!eventData.device_uuid) errors.device_uuid = ['The device uuid field is required.'];
+    if (!eventData.event_keyword) errors.event_keyword = ['The event keyword field is required.'];
+    if (Object.keys(errors).length > 0) return validationFail(errors);
+
+    const event = { id: this.events.length + 1, user_id: user.id, ...eventData, created_at: new Date().toISOString() };
+    this.events.push(event);
+
+    const response = ok({ event: { id: event.id, event_keyword: event.event_keyword } }, { message: 'Event registered.' });
+    response.status = 201;
+    return response;
+  }
+}
+
+export default MockBackend;
@@ -0,0 +1,90 @@
+/**
+ * Mock Data
+ * Seed data for the mock GU API: one account per role level (1-4), sectors
+ * around Querétaro and the restaurants inside them.
+ *
+ * Every account uses the password "Password123!".
+ */
+
+export const MOCK_PASSWORD = 'Password123!';
+
+export const roles = {
+  app_user: { id: 1, name: 'app_user', display_name: 'Usuario', level: 1 },
+  property_owner: { id: 2, name: 'property_owner', display_name: 'Propietario', level: 2 },
+  sector_admin: { id: 3, name: 'sector_admin', display_name: 'Administrador de Sector', level: 3 },
+  system_admin: { id: 4, name: 'system_admin', display_name: 'Administrador del Sistema', level: 4 },
+};
+
+// Permissions granted by each role; higher roles inherit the lower ones
+export const rolePermissions = {
+  app_user: ['view_properties', 'view_sectors'],
+  property_owner: ['create_properties', 'edit_own_properties'],
+  sector_admin: ['edit_properties', 'manage_sector', 'view_sector_users'],
+  system_admin: ['delete_properties', 'manage_users', 'manage_roles', 'admin_access', 'system_admin'],
+};
+
+export const users = [
+  {
+    id: 1,
+    name: 'Ana López',
+    email: 'usuario@gu.test',
+    roles: ['app_user'],
+    sector_id: null,
+  },
+  {
+    id: 2,
+    name: 'Jorge Ramírez',
+    email: 'propietario@gu.test',
+    roles: ['app_user', 'property_owner'],
+    sector_id: 4,
+  },
+  {
+    id: 3,
+    name: 'María Hernández',
+    email: 'sector@gu.test',
+    roles: ['app_user', 'property_owner', 'sector_admin'],
+    sector_id: 1,
+  },
+  {
+    id: 4,
+    name: 'Luis Ortega',
+    email: 'admin@gu.test',
+    roles: ['app_user', 'property_owner', 'sector_admin', 'system_admin'],
+    sector_id: null,
+  },
+];
+
+export const sectors = [
+  { id: 1, name: 'Centro Histórico', slug: 'centro-historico', city: 'Santiago de Querétaro', active: true, latitude: 20.5931, longitude: -100.3920 },
+  { id: 2, name: 'Juriquilla', slug: 'juriquilla', city: 'Santiago de Querétaro', active: true, latitude: 20.7059, longitude: -100.4460 },
+  { id: 3, name: 'El Marqués', slug: 'el-marques', city: 'El Marqués', active: true, latitude: 20.5916, longitude: -100.2860 },
+  { id: 4, name: 'Tequisquiapan', slug: 'tequisquiapan', city: 'Tequisquiapan', active: true, latitude: 20.5203, longitude: -99.8913 },
+  { id: 5, name: 'Corregidora', slug: 'corregidora', city: 'El Pueblito', active: false, latitude: 20.5378, longitude: -100.4436 },
+];
+
+export const properties = [
+  { id: 1, name: 'Alita Mía Tequisquiapan', sector_id: 4, owner_id: 2, status: 'active', category: 'alitas', address: 'Av. Juárez 12, Tequisquiapan', latitude: 20.5221, longitude: -99.8925, description: 'Las mejores alitas de la ciudad, con la mejor relación calidad-precio.' },
+  { id: 2, name: 'La Sublime Hamburguesas', sector_id: 1, owner_id: 3, status: 'active', category: 'hamburguesas', address: 'Calle Madero 45, Centro', latitude: 20.5927, longitude: -100.3935, description: 'Hamburguesas artesanales con carne de la región.' },
+  { id: 3, name: 'Gorditas Doña Lupe', sector_id: 1, owner_id: 2, status: 'active', category: 'antojitos', address: 'Andador 5 de Mayo 8, Centro', latitude: 20.5938, longitude: -100.3901, description: 'Gorditas de migajas recién hechas.' },
+  { id: 4, name: 'Tacos El Güero', sector_id: 2, owner_id: 4, status: 'active', category: 'tacos', address: 'Blvd. Juriquilla 300', latitude: 20.7071, longitude: -100.4442, description: 'Tacos al pastor y de suadero hasta la madrugada.' },
+  { id: 5, name: 'Enchiladas Queretanas La Cruz', sector_id: 1, owner_id: 3, status: 'active', category: 'antojitos', address: 'Plaza de la Cruz 3', latitude: 20.5925, longitude: -100.3862, description: 'Enchiladas queretanas con papa y zanahoria.' },
+  { id: 6, name: 'Café del Marqués', sector_id: 3, owner_id: 2, status: 'inactive', category: 'café', address: 'Carretera a Chichimequillas km 2', latitude: 20.5950, longitude: -100.2811, description: 'Café de especialidad y pan dulce.' },
+  { id: 7, name: 'Barbacoa Los Compadres', sector_id: 3, owner_id: 4, status: 'active', category: 'barbacoa', address: 'Av. Paseo del Marqués 120', latitude: 20.5899, longitude: -100.2902, description: 'Barbacoa de borrego los fines de semana.' },
+  { id: 8, name: 'Quesos y Vinos Tequis', sector_id: 4, owner_id: 2, status: 'active', category: 'vinos', address: 'Calle Morelos 9, Tequisquiapan', latitude: 20.5210, longitude: -99.8899, description: 'Tabla de quesos locales y vinos de la ruta.' },
+  { id: 9, name: 'Pozolería La Juriquilla', sector_id: 2, owner_id: 3, status: 'active', category: 'pozole', address: 'Av. Santa Fe 88, Juriquilla', latitude: 20.7043, longitude: -100.4471, description: 'Pozole rojo, verde y blanco.' },
+  { id: 10, name: 'Mariscos El Puerto', sector_id: 5, owner_id: 4, status: 'active', category: 'mariscos', address: 'Camino Real 15, El Pueblito', latitude: 20.5381, longitude: -100.4420, description: 'Cócteles y aguachiles.' },
+  { id: 11, name: 'Pizzería Bella Centro', sector_id: 1, owner_id: 2, status: 'active', category: 'pizza', address: 'Calle Corregidora 70, Centro', latitude: 20.5919, longitude: -100.3928, description: 'Pizza a la leña.' },
+  { id: 12, name: 'Tortas Ahogadas El Jalisco', sector_id: 3, owner_id: 3, status: 'active', category: 'tortas', address: 'Av. Constituyentes 500', latitude: 20.5901, longitude: -100.3001, description: 'Tortas ahogadas estilo Guadalajara.' },
+];
+
+/**
+ * Deep copy the seed so each backend instance can mutate its own state
+ * @returns {Object} Fresh seed data
+ */
+export const createSeed = () => JSON.parse(JSON.stringify({
+  roles,
+  rolePermissions,
+  users,
+  sectors,
+  properties,
+}));
@@ -0,0 +1,175 @@
+/**
+ * Mock Transport
+ * fetch-compatible transport that answers from an in-process MockBackend, with
+ * configurable latency and failure injection.
+ */
+
+import MockBackend from './mockBackend.js';
+
+const DEFAULT_OPTIONS = {
+  latency: { min: 150, max: 600 }, // milliseconds
+  networkFailureRate: 0,           // 0..1 chance of a dropped connection
+  serverErrorRate: 0,              // 0..1 chance of a 500 response
+};
+
+const createAbortError = () => {
+  const error = new Error('Aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Wait for the simulated latency, honoring the request's AbortSignal
+ * @param {number} delay - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise} Resolves after the delay
+ */
+const wait = (delay, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener?.('abort', onAbort);
+    resolve();
+  }, delay);
+
+  function onAbort() {
+    clearTimeout(timer);
+    reject(createAbortError());
+  }
+
+  signal?.addEventListener?.('abort', onAbort);
+});
+
+/**
+ * Normalize fetch headers (plain object or Headers) to a plain object
+ * @param {Object|Headers} headers - Request headers
+ * @returns {Object} Plain headers
+ */
+const toPlainHeaders = (headers = {}) => {
+  if (typeof headers.forEach === 'function' && typeof headers.get === 'function') {
+    const plain = {};
+    headers.forEach((value, key) => {
+      plain[key] = value;
+    });
+    return plain;
+  }
+  return { ...headers };
+};
+
+/**
+ * Decode a request body for the backend
+ * Multipart fields become a plain object; files stay { uri, name, type }.
+ * @param {string|FormData} [body] - fetch body
+ * @returns {Object|null} Parsed body
+ */
+const parseBody = (body) => {
+  if (typeof body === 'string') {
+    return body ? JSON.parse(body) : null;
+  }
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    // React Native's FormData has no entries(); getParts() lists the fields
+    const parts = typeof body.getParts === 'function'
+      ? body.getParts().map(part => [part.fieldName, part.string ?? part])
+      : Array.from(body.entries());
+
+    return parts.reduce((fields, [name, value]) => {
+      if (name.endsWith('[]')) {
+        const key = name.slice(0, -2);
+        fields[key] = [...(fields[key] || []), value];
+      } else {
+        fields[name] = value;
+      }
+      return fields;
+    }, {});
+  }
+  return null;
+};
+
+/**
+ * Create a fetch-compatible transport backed by a MockBackend
+ * @param {Object} [options] - Transport options
+ * @param {Object} [options.latency] - { min, max } simulated latency in ms
+ * @param {number} [options.networkFailureRate] - Chance of a network failure
+ * @param {number} [options.serverErrorRate] - Chance of a 500 response
+ * @param {MockBackend} [options.backend] - Backend instance to answer from
+ * @returns {Function} Transport with `backend`, `configure` and `injectFailure` helpers
+ */
+export const createMockTransport = (options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const backend = settings.backend || new MockBackend();
+  const injected = [];
+
+  const transport = async (url, init = {}) => {
+    const { min, max } = settings.latency;
+    await wait(min + Math.random() * Math.max(0, max - min), init.signal);
+
+    const method = (init.method || 'GET').toUpperCase();
+    if (init.onUploadProgress && init.body) {
+      init.onUploadProgress({ loaded: 1, total: 1, progress: 1 });
+    }
+
+    const injectedIndex = injected.findIndex(failure => (
+      (!failure.method || failure.method === method) && url.includes(failure.path)
+    ));
+
+    let failure = null;
+    if (injectedIndex !== -1) {
+      failure = injected[injectedIndex];
+      failure.times -= 1;
+      if (failure.times <= 0) injected.splice(injectedIndex, 1);
+    }
+
+    if (failure?.network || (!failure && Math.random() < settings.networkFailureRate)) {
+      throw new TypeError('Network request failed');
+    }
+
+    let result;
+    if (failure?.status || (!failure && Math.random() < settings.serverErrorRate)) {
+      const status = failure?.status || 500;
+      result = {
+        status,
+        headers: { 'Content-Type': 'application/json', ...failure?.headers },
+        body: { success: false, message: failure?.message || 'Injected mock failure.' },
+      };
+    } else {
+      result = backend.handle({
+        method,
+        url,
+        headers: toPlainHeaders(init.headers),
+        body: parseBody(init.body),
+      });
+    }
+
+    // 204 and 304 responses must not carry a body
+    const body = result.body === null ? null : JSON.stringify(result.body);
+    return new Response(body, {
+      status: result.status,
+      headers: result.headers,
+    });
+  };
+
+  transport.backend = backend;
+
+  /**
+   * Change latency or failure rates at runtime
+   * @param {Object} changes - Options to merge
+   */
+  transport.configure = (changes) => {
+    Object.assign(settings, changes);
+  };
+
+  /**
+   * Fail the next matching requests
+   * @param {Object} failure - { path, method, status, network, message, headers, times }
+   */
+  transport.injectFailure = (failure) => {
+    injected.push({ times: 1, ...failure });
+  };
+
+  return transport;
+};
+
+export default createMockTransport;
@@ -0,0 +1,255 @@
+/**
+ * Response Schemas
+ * Declarative shape checks for GU API responses. Endpoints reference these in
+ * endpoints.js and ApiService rejects responses that don't match with a
+ * ResponseSchemaError, instead of letting a renamed field fall through as
+ * `undefined` (e.g. a missing role level silently becoming level 1).
+ *
+ * Schemas only describe the fields the app reads; unknown fields are allowed.
+ */
+
+// ============================================================================
+// SCHEMA BUILDERS
+// ============================================================================
+
+/**
+ * Describe a value for an issue message
+ * @param {any} value - Received value
+ * @returns {string} Type description
+ */
+const describeValue = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const addIssue = (issues, path, expected, value) => {
+  issues.push({ path: path || '(root)', expected, received: describeValue(value) });
+};
+
+const primitive = (expected, test) => () => ({
+  expected,
+  validate(value, path, issues) {
+    if (!test(value)) addIssue(issues, path, expected, value);
+  },
+});
+
+export const string = primitive('string', value => typeof value === 'string');
+export const number = primitive('number', value => typeof value === 'number' && Number.isFinite(value));
+export const integer = primitive('integer', value => Number.isInteger(value));
+export const boolean = primitive('boolean', value => typeof value === 'boolean');
+
+/**
+ * One of a fixed set of values
+ * @param {Array} values - Allowed values
+ * @returns {Object} Schema
+ */
+export const oneOf = (values) => {
+  const expected = `one of ${values.join(', ')}`;
+  return {
+    expected,
+    validate(value, path, issues) {
+      if (!values.includes(value)) addIssue(issues, path, expected, value);
+    },
+  };
+};
+
+/**
+ * Field that may be absent
+ * @param {Object} schema - Schema for the value when present
+ * @returns {Object} Schema
+ */
+export const optional = (schema) => ({ ...schema, optional: true });
+
+/**
+ * Value that may be null
+ * @param {Object} schema - Schema for non-null values
+ * @returns {Object} Schema
+ */
+export const nullable = (schema) => ({
+  ...schema,
+  expected: `${schema.expected} or null`,
+  validate(value, path, issues) {
+    if (value !== null) schema.validate(value, path, issues);
+  },
+});
+
+/**
+ * Array whose items all match a schema
+ * @param {Object} item - Item schema
+ * @returns {Object} Schema
+ */
+export const arrayOf = (item) => {
+  const expected = `array of ${item.expected}`;
+  return {
+    expected,
+    validate(value, path, issues) {
+      if (!Array.isArray(value)) {
+        addIssue(issues, path, expected, value);
+        return;
+      }
+      value.forEach((entry, index) => item.validate(entry, `${path}[${index}]`, issues));
+    },
+  };
+};
+
+/**
+ * Object with known fields; extra fields are ignored
+ * @param {Object} fields - Field schemas keyed by name
+ * @returns {Object} Schema
+ */
+export const shape = (fields) => ({
+  expected: 'object',
+  fields,
+  validate(value, path, issues) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      addIssue(issues, path, 'object', value);
+      return;
+    }
+
+    Object.entries(fields).forEach(([key, field]) => {
+      const fieldPath = path ? `${path}.${key}` : key;
+      if (value[key] === undefined) {
+        if (!field.optional) addIssue(issues, fieldPath, field.expected, undefined);
+        return;
+      }
+      field.validate(value[key], fieldPath, issues);
+    });
+  },
+});
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema
+ * @param {any} value - Value to check
+ * @returns {Array<Object>} Issues ({ path, expected, received }); empty when valid
+ */
+export const validateSchema = (schema, value) => {
+  const issues = [];
+  schema.validate(value, '', issues);
+  return issues;
+};
+
+// ============================================================================
+// GU ENTITIES
+// ============================================================================
+
+export const userSchema = shape({
+  id: integer(),
+  name: string(),
+  email: string(),
+  sector_id: optional(nullable(integer())),
+  highest_role_level: optional(integer()),
+  avatar_url: optional(nullable(string())),
+});
+
+export const roleSchema = shape({
+  id: integer(),
+  name: string(),
+  display_name: optional(string()),
+  level: integer(),
+});
+
+export const sectorSchema = shape({
+  id: integer(),
+  name: string(),
+  slug: optional(string()),
+  active: optional(boolean()),
+  latitude: optional(nullable(number())),
+  longitude: optional(nullable(number())),
+  properties_count: optional(integer()),
+  users_count: optional(integer()),
+});
+
+export const photoSchema = shape({
+  id: integer(),
+  url: string(),
+  width: optional(nullable(integer())),
+  height: optional(nullable(integer())),
+  created_at: optional(string()),
+});
+
+export const propertySchema = shape({
+  id: integer(),
+  name: string(),
+  sector_id: optional(nullable(integer())),
+  owner_id: optional(nullable(integer())),
+  status: optional(string()),
+  address: optional(nullable(string())),
+  latitude: optional(nullable(number())),
+  longitude: optional(nullable(number())),
+  sector: optional(nullable(sectorSchema)),
+  owner: optional(nullable(shape({ id: integer(), name: string() }))),
+  photos: optional(arrayOf(photoSchema)),
+});
+
+export const sessionSchema = shape({
+  id: integer(),
+  device_name: string(),
+  device_id: optional(nullable(string())),
+  device_model: optional(nullable(string())),
+  os_name: optional(nullable(string())),
+  os_version: optional(nullable(string())),
+  app_version: optional(nullable(string())),
+  last_used_at: optional(nullable(string())),
+  is_current: boolean(),
+});
+
+export const paginationMetaSchema = shape({
+  current_page: integer(),
+  per_page: integer(),
+  total: integer(),
+  last_page: integer(),
+});
+
+// ============================================================================
+// GU RESPONSES
+// ============================================================================
+
+/**
+ * Standard { success, message, data } envelope
+ * @param {Object} [data] - Schema for `data`; omitted when the app ignores it
+ * @param {Object} [extra] - Additional top-level fields
+ * @returns {Object} Schema
+ */
+export const envelope = (data, extra = {}) => shape({
+  success: boolean(),
+  message: optional(string()),
+  ...(data ? { data } : {}),
+  ...extra,
+});
+
+/**
+ * Paginated list envelope
+ * @param {string} key - Key of the list inside `data`
+ * @param {Object} item - Item schema
+ * @returns {Object} Schema
+ */
+export const paginated = (key, item) => envelope(
+  shape({ [key]: arrayOf(item) }),
+  { meta: optional(paginationMetaSchema) }
+);
+
+export const responseSchemas = {
+  auth: envelope(shape({
+    user: optional(userSchema),
+    token: string(),
+    token_type: optional(string()),
+    expires_in: optional(integer()),
+    refresh_token: optional(string()),
+  })),
+  message: envelope(),
+  user: envelope(shape({ user: userSchema })),
+  roles: envelope(shape({ roles: arrayOf(roleSchema) })),
+  permissions: envelope(shape({
+    permissions: arrayOf(string()),
+    highest_role_level: integer(),
+  })),
+  sessions: envelope(shape({ sessions: arrayOf(sessionSchema) })),
+  revokedSession: envelope(shape({ session: sessionSchema })),
+  sectors: paginated('sectors', sectorSchema),
+  sector: envelope(shape({ sector: sectorSchema })),
+  properties: paginated('properties', propertySchema),
+  property: envelope(shape({ property: propertySchema })),
+  propertyPhoto: envelope(shape({ photo: photoSchema })),
+};
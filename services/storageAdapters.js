@@ -0,0 +1,86 @@
+/**
+ * Storage Adapters
+ * Backends for StorageService. Every adapter stores strings under string keys
+ * and exposes the same async methods, so StorageService can serialize values
+ * once and switch backends without callers noticing:
+ *
+ *   { name, persistent, secure, getItem(key), setItem(key, value),
+ *     removeItem(key), getAllKeys(), multiRemove(keys) }
+ *
+ * Adapters let errors propagate; StorageService decides how to fall back.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+
+/**
+ * Non-persistent adapter backed by a Map
+ * Used when persistence fails, and handy for tests.
+ * @returns {Object} Storage adapter
+ */
+export const createMemoryAdapter = () => {
+  const store = new Map();
+
+  return {
+    name: 'memory',
+    persistent: false,
+    secure: false,
+    getItem: async key => (store.has(key) ? store.get(key) : null),
+    setItem: async (key, value) => {
+      store.set(key, value);
+    },
+    removeItem: async (key) => {
+      store.delete(key);
+    },
+    getAllKeys: async () => Array.from(store.keys()),
+    multiRemove: async (keys) => {
+      keys.forEach(key => store.delete(key));
+    },
+  };
+};
+
+/**
+ * Persistent adapter backed by AsyncStorage
+ * @param {Object} [storage] - AsyncStorage-compatible module
+ * @returns {Object} Storage adapter
+ */
+export const createAsyncStorageAdapter = (storage = AsyncStorage) => ({
+  name: 'asyncStorage',
+  persistent: true,
+  secure: false,
+  getItem: key => storage.getItem(key),
+  setItem: (key, value) => storage.setItem(key, value),
+  removeItem: key => storage.removeItem(key),
+  getAllKeys: async () => [...(await storage.getAllKeys())],
+  multiRemove: keys => storage.multiRemove(keys),
+});
+
+/**
+ * Persistent, encrypted adapter backed by expo-secure-store (Keychain on iOS,
+ * Keystore-encrypted preferences on Android)
+ * SecureStore can't list its entries, so the adapter only reports the keys
+ * it was created for. It throws where SecureStore is unavailable (web).
+ * @param {Array<string>} keys - Keys this adapter will hold
+ * @param {Object} [store] - expo-secure-store compatible module
+ * @returns {Object} Storage adapter
+ */
+export const createSecureStoreAdapter = (keys, store = SecureStore) => {
+  // Readable after the first unlock so background token refreshes still work
+  const options = { keychainAccessible: store.AFTER_FIRST_UNLOCK };
+
+  return {
+    name: 'secureStore',
+    persistent: true,
+    secure: true,
+    getItem: key => store.getItemAsync(key, options),
+    setItem: (key, value) => store.setItemAsync(key, value, options),
+    removeItem: key => store.deleteItemAsync(key, options),
+    getAllKeys: async () => {
+      const values = await Promise.all(keys.map(key => store.getItemAsync(key, options)));
+      return keys.filter((key, index) => values[index] !== null);
+    },
+    multiRemove: async (removed) => {
+      await Promise.all(removed.map(key => store.deleteItemAsync(key, options)));
+    },
+  };
+};
@@ -0,0 +1,40 @@
+/**
+ * Storage Migrations
+ * Ordered changes to the shape of stored data. StorageService.migrate() runs
+ * every migration newer than the stored schema version at startup, before
+ * AuthContext reads anything.
+ *
+ * Each migration gets a transaction instead of the storage itself:
+ *
+ *   { keys, get(key, kind?), set(key, value, kind?), remove(key, kind?) }
+ *
+ * `keys` is StorageService.keys. `kind` ('general' or 'secure') defaults to
+ * the backend the key normally lives in. Reads see the migration's own
+ * writes; writes are only applied once `up` resolves, so a migration that
+ * throws changes nothing. Add new migrations at the end with the next version
+ * and never edit one that has shipped.
+ */
+
+export const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move credentials from AsyncStorage to the secure store',
+    up: async ({ keys, get, set, remove }) => {
+      for (const key of [keys.authToken, keys.refreshToken, keys.tokenExpiry]) {
+        const value = await get(key, 'general');
+        if (value !== null) {
+          set(key, value, 'secure');
+          remove(key, 'general');
+        }
+      }
+    },
+  },
+];
+
+// Version written after all migrations have run
+export const STORAGE_SCHEMA_VERSION = STORAGE_MIGRATIONS.reduce(
+  (latest, migration) => Math.max(latest, migration.version),
+  0
+);
+
+export default STORAGE_MIGRATIONS;
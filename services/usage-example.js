@@ -240,11 +240,12 @@ export const getUserRolesExample = async () => {
  */
 export const listSectorsExample = async () => {
   try {
-    // Get all sectors
+    // Get the first page of sectors
     const allSectorsResponse = await enhancedApiService.listSectors();
     
     if (allSectorsResponse.success) {
-      console.log('All sectors:', allSectorsResponse.data.sectors);
+      console.log('First page of sectors:', allSectorsResponse.data.sectors);
+      console.log('Total sectors:', allSectorsResponse.meta.total);
     }
     
     // Get active sectors with property count
@@ -284,11 +285,12 @@ export const getSectorExample = async (sectorId) => {
  */
 export const listPropertiesExample = async () => {
   try {
-    // Get all properties
+    // Get the first page of properties (lists are paginated, 15 per page by default)
     const allPropertiesResponse = await enhancedApiService.listProperties();
     
     if (allPropertiesResponse.success) {
-      console.log('All properties:', allPropertiesResponse.data.properties);
+      console.log('First page of properties:', allPropertiesResponse.data.properties);
+      console.log(`Page ${allPropertiesResponse.meta.current_page} of ${allPropertiesResponse.meta.last_page}`);
     }
     
     // Get properties in specific sector
@@ -316,6 +318,34 @@ export const listPropertiesExample = async () => {
   }
 };
 
+/**
+ * Example: Walk Every Page
+ */
+export const paginatePropertiesExample = async () => {
+  try {
+    const paginator = enhancedApiService.paginateProperties(
+      { status: 'active', include: 'sector' },
+      { perPage: 5 }
+    );
+
+    // Iterate items across all pages
+    const allProperties = [];
+    for await (const property of paginator) {
+      allProperties.push(property);
+    }
+    console.log('All active properties:', allProperties.length);
+
+    // Or load page by page, as an infinite list does
+    await paginator.fetchNextPage();
+    const { items, total, hasNextPage, cursor } = paginator.getState();
+    console.log(`Loaded ${items.length} of ${total}`, { hasNextPage, nextPage: cursor.page });
+
+    return allProperties;
+  } catch (error) {
+    console.error('Paginate properties error:', error);
+  }
+};
+
 /**
  * Example: Get Property Details
  */
@@ -440,6 +470,7 @@ export default {
   listSectorsExample,
   getSectorExample,
   listPropertiesExample,
+  paginatePropertiesExample,
   getPropertyExample,
   validationExample,
   authStatusExample,
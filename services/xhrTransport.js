@@ -0,0 +1,82 @@
+/**
+ * XHR Transport
+ * fetch-compatible transport built on XMLHttpRequest. fetch can't report
+ * upload progress, so ApiService switches to this one for requests that pass
+ * `onUploadProgress`.
+ */
+
+/**
+ * Wrap a finished XHR in the subset of the fetch Response API ApiService uses
+ * @param {XMLHttpRequest} xhr - Completed request
+ * @returns {Object} { ok, status, statusText, headers: { get, forEach }, text }
+ */
+const createResponse = (xhr) => ({
+  ok: xhr.status >= 200 && xhr.status < 300,
+  status: xhr.status,
+  statusText: xhr.statusText,
+  headers: {
+    get: (name) => xhr.getResponseHeader(name),
+    forEach: (callback) => {
+      (xhr.getAllResponseHeaders() || '').trim().split(/[\r\n]+/).forEach((line) => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          callback(line.slice(separator + 1).trim(), line.slice(0, separator).trim().toLowerCase());
+        }
+      });
+    },
+  },
+  text: async () => xhr.responseText,
+});
+
+const createAbortError = () => {
+  const error = new Error('Aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Send a request with XMLHttpRequest
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init plus `onUploadProgress`
+ * @param {Function} [init.onUploadProgress] - Called with { loaded, total, progress }
+ * @returns {Promise<Object>} fetch-like response
+ */
+export const xhrTransport = (url, { method = 'GET', headers = {}, body, signal, onUploadProgress } = {}) => (
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+    const settle = (callback) => (...args) => {
+      signal?.removeEventListener('abort', onAbort);
+      callback(...args);
+    };
+
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    if (onUploadProgress && xhr.upload) {
+      xhr.upload.onprogress = (event) => {
+        if (!event.lengthComputable) return;
+        onUploadProgress({
+          loaded: event.loaded,
+          total: event.total,
+          progress: event.total > 0 ? event.loaded / event.total : 0,
+        });
+      };
+    }
+
+    xhr.onload = settle(() => resolve(createResponse(xhr)));
+    xhr.onerror = settle(() => reject(new TypeError('Network request failed')));
+    xhr.ontimeout = settle(() => reject(new TypeError('Network request timed out')));
+    xhr.onabort = settle(() => reject(createAbortError()));
+
+    signal?.addEventListener('abort', onAbort);
+    xhr.send(body ?? null);
+  })
+);
+
+export default xhrTransport;